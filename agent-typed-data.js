@@ -0,0 +1,63 @@
+import { TypedDataEncoder, getAddress, parseEther } from 'ethers';
+
+// EIP-712 schemas for pre-launch agent registrations. The stored typed data is
+// exported with its signature so the on-chain bootstrap can check it. Updates
+// are signed as a new AgentRegistration with a later timestamp.
+export const AGENT_REGISTRATION_TYPES = {
+  AgentRegistration: [
+    { name: 'agent', type: 'address' },
+    { name: 'code', type: 'string' },
+    { name: 'rakebackPct', type: 'uint8' },
+    { name: 'pledgeWei', type: 'uint256' },
+    { name: 'referrer', type: 'string' },
+    { name: 'timestamp', type: 'uint64' },
+    { name: 'chainId', type: 'uint256' },
+  ],
+};
+
+export const AGENT_WITHDRAWAL_TYPES = {
+  AgentWithdrawal: [
+    { name: 'agent', type: 'address' },
+    { name: 'code', type: 'string' },
+    { name: 'timestamp', type: 'uint64' },
+    { name: 'chainId', type: 'uint256' },
+  ],
+};
+
+export function agentRegistrationDomain({ chainId, verifyingContract }) {
+  const domain = { name: 'Degenerus Affiliate', version: '1', chainId };
+  if (verifyingContract) domain.verifyingContract = getAddress(verifyingContract);
+  return domain;
+}
+
+// Full typed-data payload as a wallet's eth_signTypedData_v4 expects it, with
+// uint256 values as decimal strings so it survives JSON.
+export function buildAgentRegistration({ domain, address, code, rakebackPct, pledgeEth, referrer, timestamp, chainId }) {
+  return {
+    domain,
+    types: AGENT_REGISTRATION_TYPES,
+    primaryType: 'AgentRegistration',
+    message: {
+      agent: getAddress(address),
+      code,
+      rakebackPct,
+      pledgeWei: parseEther(String(pledgeEth)).toString(),
+      referrer: referrer ?? '',
+      timestamp,
+      chainId,
+    },
+  };
+}
+
+export function buildAgentWithdrawal({ domain, address, code, timestamp, chainId }) {
+  return {
+    domain,
+    types: AGENT_WITHDRAWAL_TYPES,
+    primaryType: 'AgentWithdrawal',
+    message: { agent: getAddress(address), code, timestamp, chainId },
+  };
+}
+
+export function hashAgentTypedData(typedData) {
+  return TypedDataEncoder.hash(typedData.domain, typedData.types, typedData.message);
+}
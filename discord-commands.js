@@ -0,0 +1,57 @@
+// Slash command definitions, registered with register-discord-commands.js and
+// handled in interactions.js. Option types: 3 string, 4 integer, 10 number.
+const CURRENCY_OPTION = {
+  name: 'currency',
+  description: 'Currency (default WWXRP)',
+  type: 4,
+  choices: [
+    { name: 'ETH', value: 0 },
+    { name: 'BURNIE', value: 1 },
+    { name: 'DGNRS', value: 2 },
+    { name: 'WWXRP', value: 3 },
+  ],
+};
+
+export const DISCORD_COMMANDS = [
+  {
+    name: 'balance',
+    description: 'Show your balances',
+  },
+  {
+    name: 'stats',
+    description: 'Show your spin stats',
+    options: [CURRENCY_OPTION],
+  },
+  {
+    name: 'leaderboard',
+    description: 'Show the top 10',
+    options: [
+      {
+        name: 'metric',
+        description: 'Ranking (default balance)',
+        type: 3,
+        choices: ['balance', 'net', 'wagered', 'multiplier', 'activity'].map((value) => ({ name: value, value })),
+      },
+      {
+        name: 'window',
+        description: 'Time window (default all)',
+        type: 3,
+        choices: ['all', 'daily', 'weekly', 'season'].map((value) => ({ name: value, value })),
+      },
+    ],
+  },
+  {
+    name: 'history',
+    description: 'Show your last spins',
+    options: [{ name: 'limit', description: 'Number of spins (1-10)', type: 4, min_value: 1, max_value: 10 }],
+  },
+  {
+    name: 'spin',
+    description: 'Spin a ticket',
+    options: [
+      { name: 'amount', description: 'Bet per ticket', type: 10, required: true },
+      { name: 'ticket', description: 'color-symbol per quadrant, e.g. 0-7,1-6,2-5,3-4 (default quick pick)', type: 3 },
+      CURRENCY_OPTION,
+    ],
+  },
+];
@@ -0,0 +1,239 @@
+import { CURRENCY_WWXRP, formatCurrencyAmount, formatMultiplier } from './game.js';
+import { getDiscordRoleMembers, getDiscordRoleAssignments, recordDiscordRoleChange } from './storage.js';
+
+const DEFAULT_API_BASE = 'https://discord.com/api/v10';
+
+// Minimal bot REST client. `apiBase` (DISCORD_API_BASE) or `fetchImpl` can point
+// it at a local fake; anything with the same methods can stand in for it.
+export function createDiscordClient({ token, apiBase = DEFAULT_API_BASE, fetchImpl = fetch }) {
+  async function request(method, route, body) {
+    const res = await fetchImpl(`${apiBase}${route}`, {
+      method,
+      headers: {
+        Authorization: `Bot ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (res.ok) return res.status === 204 ? null : res.json();
+
+    const data = await res.json().catch(() => ({}));
+    const error = new Error(`Discord ${method} ${route} failed: ${res.status} ${data.message ?? ''}`.trim());
+    error.status = res.status;
+    error.retryable = res.status === 429 || res.status >= 500;
+    error.retryAfterMs = data.retry_after ? Math.ceil(data.retry_after * 1000) : null;
+    throw error;
+  }
+
+  return {
+    sendMessage: (channelId, message) => request('POST', `/channels/${channelId}/messages`, message),
+    addRole: (guildId, userId, roleId) => request('PUT', `/guilds/${guildId}/members/${userId}/roles/${roleId}`),
+    removeRole: (guildId, userId, roleId) => request('DELETE', `/guilds/${guildId}/members/${userId}/roles/${roleId}`),
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms).unref());
+
+// Fire-and-forget outbound queue: jobs run one at a time and failures are retried
+// with exponential backoff (or Discord's retry_after), so callers never wait on
+// Discord. Errors marked `retryable: false` (4xx) are dropped right away.
+export function createOutboundQueue({ maxAttempts = 5, baseDelayMs = 1000, maxSize = 500 } = {}) {
+  const jobs = [];
+  let running = false;
+
+  async function drain() {
+    running = true;
+    while (jobs.length) {
+      const job = jobs[0];
+      try {
+        await job.run();
+        jobs.shift();
+      } catch (err) {
+        job.attempts += 1;
+        if (err.retryable === false || job.attempts >= maxAttempts) {
+          console.error(`Dropping Discord job ${job.label} after ${job.attempts} attempt(s):`, err.message);
+          jobs.shift();
+          continue;
+        }
+        await sleep(err.retryAfterMs ?? baseDelayMs * 2 ** (job.attempts - 1));
+      }
+    }
+    running = false;
+  }
+
+  return {
+    push(label, run) {
+      if (jobs.length >= maxSize) {
+        console.error(`Discord queue full, dropping ${label}`);
+        return false;
+      }
+      jobs.push({ label, run, attempts: 0 });
+      if (!running) drain();
+      return true;
+    },
+    get size() {
+      return jobs.length;
+    },
+  };
+}
+
+const JACKPOT_COLOR = 0xf1c40f;
+const WIN_COLOR = 0x2ecc71;
+
+// Tickets as color-symbol per quadrant, e.g. 0-7,1-6,2-5,3-4 (the /spin input format).
+export function formatTicket(ticket) {
+  return ticket.traits.map(({ color, symbol }) => `${color}-${symbol}`).join(',');
+}
+
+// formatCurrencyAmount leaves WWXRP unlabeled; embeds always name the currency.
+export function formatAmount(amount, currency) {
+  const value = formatCurrencyAmount(amount, currency);
+  return currency === CURRENCY_WWXRP ? `${value} WWXRP` : value;
+}
+
+function buildSpinEmbed({ player, spinId, amount, currency, result }) {
+  const isJackpot = result.matches === 8;
+  const multiplier = result.totalPayout / amount;
+  const name = player.discord_name || `${player.eth_address.slice(0, 6)}…${player.eth_address.slice(-4)}`;
+  return {
+    title: isJackpot ? 'JACKPOT! 8 matches' : `${formatMultiplier(multiplier)} win`,
+    color: isJackpot ? JACKPOT_COLOR : WIN_COLOR,
+    author: { name, icon_url: player.discord_avatar || undefined },
+    fields: [
+      { name: 'Bet', value: formatAmount(amount, currency), inline: true },
+      { name: 'Payout', value: formatAmount(result.totalPayout, currency), inline: true },
+      { name: 'Matches', value: `${result.matches}/8`, inline: true },
+      { name: 'Ticket', value: `\`${formatTicket(result.playerTicket)}\``, inline: true },
+      { name: 'Result', value: `\`${formatTicket(result.resultTicket)}\``, inline: true },
+      { name: 'Math', value: `\`\`\`\n${result.math}\n\`\`\`` },
+    ],
+    footer: { text: `Spin #${spinId}` },
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// Returns announceSpin(atomicSpinResult), which queues one embed per ticket that
+// hits 8 matches or pays at least `minMultiplier` times its bet.
+export function createSpinAnnouncer({ client, queue, channelId, minMultiplier }) {
+  if (!client || !channelId) return () => {};
+  return ({ player, spin, spinIds }) => {
+    spin.results.forEach((result, idx) => {
+      const multiplier = result.totalPayout / spin.amountPerTicket;
+      if (result.matches !== 8 && multiplier < minMultiplier) return;
+      const embed = buildSpinEmbed({
+        player,
+        spinId: spinIds[idx],
+        amount: spin.amountPerTicket,
+        currency: spin.currency,
+        result,
+      });
+      queue.push(`announce spin ${spinIds[idx]}`, () =>
+        client.sendMessage(channelId, { embeds: [embed], allowed_mentions: { parse: [] } })
+      );
+    });
+  };
+}
+
+// Validates DISCORD_ROLE_CONFIG, e.g.
+// { "rank": [{ "roleId": "1", "top": 1 }, { "roleId": "2", "top": 10 }],
+//   "activity": [{ "roleId": "3", "minScore": 25500 }, { "roleId": "4", "minScore": 7500 }],
+//   "affiliate": { "roleId": "5", "minReferrals": 1 } }
+// Rank and activity tiers are exclusive: a member only holds the best tier they reach.
+export function normalizeRoleConfig(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Role config must be an object');
+  const roleId = (entry) => {
+    const id = entry?.roleId?.toString();
+    if (!id || !/^\d+$/.test(id)) throw new Error(`Invalid roleId '${entry?.roleId}'`);
+    return id;
+  };
+  const rank = (raw.rank ?? []).map((entry) => {
+    const top = Number(entry?.top);
+    if (!Number.isInteger(top) || top < 1) throw new Error('Rank roles need a positive integer `top`');
+    return { roleId: roleId(entry), top };
+  }).sort((a, b) => a.top - b.top);
+  const activity = (raw.activity ?? []).map((entry) => {
+    const minScore = Number(entry?.minScore);
+    if (!Number.isInteger(minScore) || minScore < 0) throw new Error('Activity roles need a non-negative integer `minScore`');
+    return { roleId: roleId(entry), minScore };
+  }).sort((a, b) => b.minScore - a.minScore);
+  let affiliate = null;
+  if (raw.affiliate) {
+    const minReferrals = Number(raw.affiliate.minReferrals ?? 1);
+    if (!Number.isInteger(minReferrals) || minReferrals < 1) throw new Error('Affiliate role needs `minReferrals` >= 1');
+    affiliate = { roleId: roleId(raw.affiliate), minReferrals };
+  }
+  return { rank, activity, affiliate };
+}
+
+function desiredRoles(member, config) {
+  const roles = new Map();
+  const rankTier = config.rank.find((tier) => member.rank <= tier.top);
+  if (rankTier) roles.set(rankTier.roleId, `rank ${member.rank} (top ${rankTier.top})`);
+  const activityTier = config.activity.find((tier) => member.activity_score_bps >= tier.minScore);
+  if (activityTier) roles.set(activityTier.roleId, `activity ${member.activity_score_bps} >= ${activityTier.minScore}`);
+  if (config.affiliate && member.referrals >= config.affiliate.minReferrals) {
+    roles.set(config.affiliate.roleId, `${member.referrals} referrals`);
+  }
+  return roles;
+}
+
+// Returns syncRoles(), which diffs each linked member's desired roles against the
+// roles we previously granted and applies the difference. Only roles named in the
+// config are ever touched. A rate limit ends the run early; the next run resumes.
+export function createRoleSync({ client, guildId, config }) {
+  const managed = new Set([
+    ...config.rank.map((tier) => tier.roleId),
+    ...config.activity.map((tier) => tier.roleId),
+    ...(config.affiliate ? [config.affiliate.roleId] : []),
+  ]);
+  let running = false;
+
+  async function apply(discordId, roleId, action, reason) {
+    try {
+      if (action === 'add') await client.addRole(guildId, discordId, roleId);
+      else await client.removeRole(guildId, discordId, roleId);
+      recordDiscordRoleChange({ discordId, roleId, action, reason });
+      return action === 'add' ? 'added' : 'removed';
+    } catch (err) {
+      // Members who left the guild no longer hold the role either.
+      if (action === 'remove' && err.status === 404) {
+        recordDiscordRoleChange({ discordId, roleId, action, reason: `${reason} (not in guild)` });
+        return 'removed';
+      }
+      recordDiscordRoleChange({ discordId, roleId, action, reason, error: err.message });
+      return err.status === 429 ? 'rateLimited' : 'failed';
+    }
+  }
+
+  return async function syncRoles() {
+    if (running) return { skipped: true };
+    running = true;
+    const changes = { added: 0, removed: 0, failed: 0, rateLimited: 0 };
+    try {
+      const held = new Map();
+      for (const { discord_id: discordId, role_id: roleId } of getDiscordRoleAssignments()) {
+        if (!held.has(discordId)) held.set(discordId, new Set());
+        held.get(discordId).add(roleId);
+      }
+      const wanted = new Map(getDiscordRoleMembers().map((member) => [member.discord_id, desiredRoles(member, config)]));
+
+      for (const discordId of new Set([...held.keys(), ...wanted.keys()])) {
+        const current = held.get(discordId) ?? new Set();
+        const desired = wanted.get(discordId) ?? new Map();
+        const plan = [
+          ...[...desired].filter(([roleId]) => !current.has(roleId)).map(([roleId, reason]) => [roleId, 'add', reason]),
+          ...[...current].filter((roleId) => managed.has(roleId) && !desired.has(roleId))
+            .map((roleId) => [roleId, 'remove', wanted.has(discordId) ? 'no longer qualifies' : 'Discord unlinked']),
+        ];
+        for (const [roleId, action, reason] of plan) {
+          const outcome = await apply(discordId, roleId, action, reason);
+          changes[outcome] += 1;
+          if (outcome === 'rateLimited') return changes;
+        }
+      }
+      return changes;
+    } finally {
+      running = false;
+    }
+  };
+}
@@ -1,14 +1,40 @@
 #!/usr/bin/env node
 /**
  * Export pre-launch agent affiliate registrations for on-chain batch insertion.
+ * Only registrations holding a slot (status 'active') are exported; waitlisted
+ * and bumped ones stay behind until they are promoted.
  *
  * Usage:
- *   node export-agent-registrations.js              # export unexported only
- *   node export-agent-registrations.js --all        # export all registrations
- *   node export-agent-registrations.js --dry-run    # preview without marking exported
+ *   node export-agent-registrations.js                       # JSON, unexported only
+ *   node export-agent-registrations.js --all                 # JSON, all registrations
+ *   node export-agent-registrations.js --dry-run             # preview without marking exported
+ *   node export-agent-registrations.js --format calldata [--batch-size 50] [--abi DegenerusAffiliate.json]
+ *   node export-agent-registrations.js --format merkle
+ *   node export-agent-registrations.js --diff previous-export.json
  *
- * Output: JSON to stdout with affiliateCodes and referralAssignments arrays.
- * These feed into the DegenerusAffiliate constructor bootstrap arrays.
+ * Formats:
+ *   json      affiliateCodes and referralAssignments arrays for the DegenerusAffiliate
+ *             constructor bootstrap. Codes registered with EIP-712 signatures carry
+ *             `typedData`, `digest` and `signature` so the bootstrap can verify them;
+ *             older plain-text registrations have `typedData: null`.
+ *   calldata  ABI-encoded calls to the bootstrap contract's batch functions, chunked
+ *             into at most --batch-size (default 100) entries per transaction. Pass
+ *             the contract's compiled artifact (or bare ABI array) with --abi; it must
+ *             have both functions with the parameter types in DEFAULT_BOOTSTRAP_ABI.
+ *   merkle    Merkle root over every active registration plus each agent's proof,
+ *             for claim-based bootstrapping. Built the way OpenZeppelin's
+ *             StandardMerkleTree.of(values, LEAF_TYPES) builds it, so the root and
+ *             proofs match that library and verify with MerkleProof.verify.
+ *
+ * --diff compares every active registration against a previous JSON export and
+ * prints the added, removed and changed codes. Merkle and diff output always cover
+ * all active registrations and never mark anything exported.
+ *
+ * Referrer codes are resolved against every active registration, so a referral is
+ * kept even when its referrer was exported in an earlier batch. Referrals to codes
+ * that are queued, withdrawn or were never registered can't be assigned on-chain;
+ * they are reported on stderr (and as `unresolvedReferrals` in JSON output), and an
+ * export that would mark such rows exported stops unless --drop-unresolved is given.
  */
 
 import fs from 'node:fs';
@@ -16,9 +42,44 @@ import path from 'node:path';
 import Database from 'better-sqlite3';
 import { ethers } from 'ethers';
 
+// The batch-insert functions the calldata format calls. The bootstrap contract
+// is not part of this repo: these are the signatures it is expected to expose,
+// used when no --abi is given. A loaded ABI must match them.
+const DEFAULT_BOOTSTRAP_ABI = [
+  'function bootstrapAffiliateCodes(address[] owners, bytes32[] codes, uint8[] rakebackPcts)',
+  'function bootstrapReferrals(address[] players, bytes32[] referrerCodes)',
+];
+const LEAF_TYPES = ['address', 'bytes32', 'uint8', 'bytes32'];
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
 const args = process.argv.slice(2);
+const option = (name) => {
+  const idx = args.findIndex((arg) => arg === '--' + name || arg.startsWith('--' + name + '='));
+  if (idx === -1) return null;
+  const value = args[idx].includes('=') ? args[idx].split('=').slice(1).join('=') : args[idx + 1];
+  if (!value || value.startsWith('--')) fail('--' + name + ' needs a value');
+  return value;
+};
+
 const exportAll = args.includes('--all');
-const dryRun = args.includes('--dry-run');
+const dropUnresolved = args.includes('--drop-unresolved');
+const diffPath = option('diff');
+const abiPath = option('abi');
+const format = diffPath ? 'diff' : option('format') || 'json';
+const batchSize = Number(option('batch-size') || 100);
+const wholeSet = format === 'merkle' || format === 'diff';
+const dryRun = args.includes('--dry-run') || wholeSet;
+
+if (!['json', 'calldata', 'merkle', 'diff'].includes(format)) {
+  fail("Unknown --format '" + format + "' (json, calldata or merkle)");
+}
+if (!Number.isInteger(batchSize) || batchSize < 1) {
+  fail('--batch-size must be a positive integer');
+}
 
 const dbPath = process.env.DATABASE_PATH || path.join(process.cwd(), 'data', 'degenerette.sqlite');
 if (!fs.existsSync(dbPath)) {
@@ -28,54 +89,213 @@ if (!fs.existsSync(dbPath)) {
 
 const db = new Database(dbPath, { readonly: dryRun });
 
-const where = exportAll ? '' : 'WHERE exported = 0';
-const registrations = db.prepare('SELECT * FROM agent_registrations ' + where + ' ORDER BY created_at ASC').all();
+const where = exportAll || wholeSet ? "WHERE status = 'active'" : "WHERE status = 'active' AND exported = 0";
+const registrations = db.prepare('SELECT * FROM agent_registrations ' + where + ' ORDER BY created_at ASC, id ASC').all();
 
 console.error(
   'Found ' + registrations.length + ' registration(s)' +
-  (exportAll ? ' (all)' : ' (unexported)') +
+  (exportAll || wholeSet ? ' (all)' : ' (unexported)') +
   (dryRun ? ' [DRY RUN]' : '')
 );
 
-if (registrations.length === 0) {
-  console.log(JSON.stringify({ affiliateCodes: [], referralAssignments: [] }, null, 2));
-  process.exit(0);
+// Code-to-address map over every active registration, not just this batch, and
+// the status of every other code for reporting referrals that can't be assigned.
+const codeToAddress = {};
+const codeStatus = {};
+for (const reg of db.prepare('SELECT code, address, status FROM agent_registrations').all()) {
+  if (reg.status === 'active') codeToAddress[reg.code] = reg.address;
+  codeStatus[reg.code] = reg.status;
 }
 
-// Build code-to-address map for referral resolution
-const codeToAddress = {};
-for (const reg of registrations) {
-  codeToAddress[reg.code] = reg.address;
+function buildJsonExport(rows) {
+  const output = {
+    affiliateCodes: [],
+    referralAssignments: [],
+    unresolvedReferrals: [],
+  };
+
+  for (const reg of rows) {
+    const codeBytes32 = ethers.encodeBytes32String(reg.code);
+
+    output.affiliateCodes.push({
+      owner: ethers.getAddress(reg.address),
+      code: reg.code,
+      codeBytes32,
+      rakebackPct: reg.rakeback_pct,
+      pledgeEth: reg.pledge_eth,
+      verifiedPledgeEth: reg.verified_pledge_eth,
+      registeredAt: reg.created_at,
+      typedData: reg.typed_data ? JSON.parse(reg.typed_data) : null,
+      digest: reg.typed_data ? reg.message : null,
+      signature: reg.signature,
+    });
+
+    if (reg.referrer) {
+      const referrerCode = reg.referrer.toUpperCase();
+      if (codeToAddress[referrerCode]) {
+        output.referralAssignments.push({
+          player: ethers.getAddress(reg.address),
+          referrerCode,
+          referrerCodeBytes32: ethers.encodeBytes32String(referrerCode),
+          referrerAddress: ethers.getAddress(codeToAddress[referrerCode]),
+        });
+      } else {
+        output.unresolvedReferrals.push({
+          player: ethers.getAddress(reg.address),
+          code: reg.code,
+          referrerCode,
+          referrerStatus: codeStatus[referrerCode] ?? 'not registered',
+        });
+      }
+    }
+  }
+  return output;
 }
 
-const output = {
-  affiliateCodes: [],
-  referralAssignments: [],
-};
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
 
-for (const reg of registrations) {
-  const codeBytes32 = ethers.encodeBytes32String(reg.code);
+// The bootstrap interface from --abi (a compiled artifact with an `abi` field, or
+// a bare ABI array), checked against DEFAULT_BOOTSTRAP_ABI's parameter types.
+function loadBootstrapInterface() {
+  const expected = new ethers.Interface(DEFAULT_BOOTSTRAP_ABI);
+  if (!abiPath) return expected;
+  const parsed = JSON.parse(fs.readFileSync(abiPath, 'utf8'));
+  const iface = new ethers.Interface(Array.isArray(parsed) ? parsed : parsed.abi);
+  expected.forEachFunction((wanted) => {
+    const found = iface.getFunction(wanted.name);
+    const types = (fragment) => fragment.inputs.map((input) => input.type).join(',');
+    if (!found || types(found) !== types(wanted)) {
+      fail(abiPath + ' has no ' + wanted.format() + (found ? ' (found ' + found.format() + ')' : ''));
+    }
+  });
+  return iface;
+}
+
+function buildCalldataExport({ affiliateCodes, referralAssignments }) {
+  const iface = loadBootstrapInterface();
+  // Codes go first so every referral points at a code that is already on-chain.
+  const codeCalls = chunk(affiliateCodes, batchSize).map((batch) => ({
+    function: 'bootstrapAffiliateCodes',
+    count: batch.length,
+    codes: batch.map((entry) => entry.code),
+    data: iface.encodeFunctionData('bootstrapAffiliateCodes', [
+      batch.map((entry) => entry.owner),
+      batch.map((entry) => entry.codeBytes32),
+      batch.map((entry) => entry.rakebackPct),
+    ]),
+  }));
+  const referralCalls = chunk(referralAssignments, batchSize).map((batch) => ({
+    function: 'bootstrapReferrals',
+    count: batch.length,
+    data: iface.encodeFunctionData('bootstrapReferrals', [
+      batch.map((entry) => entry.player),
+      batch.map((entry) => entry.referrerCodeBytes32),
+    ]),
+  }));
+  const abi = ['bootstrapAffiliateCodes', 'bootstrapReferrals'].map((name) => iface.getFunction(name).format('full'));
+  return { abi, batchSize, transactions: [...codeCalls, ...referralCalls] };
+}
 
-  output.affiliateCodes.push({
-    owner: ethers.getAddress(reg.address),
-    code: reg.code,
-    codeBytes32,
-    rakebackPct: reg.rakeback_pct,
-    pledgeEth: reg.pledge_eth,
-    registeredAt: reg.created_at,
+function hashPair(a, b) {
+  return ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+}
+
+// Same layout as OpenZeppelin's StandardMerkleTree: leaves are sorted by hash and
+// stored at the end of a 2n-1 array in reverse, each node i above them hashes
+// its children 2i+1 and 2i+2, and the root is node 0. An empty set has root 0x0.
+function buildMerkleExport({ affiliateCodes, referralAssignments }) {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const referrerOf = new Map(referralAssignments.map((entry) => [entry.player, entry.referrerCodeBytes32]));
+  const entries = affiliateCodes.map((entry) => {
+    const referrerCode = referrerOf.get(entry.owner) ?? ethers.ZeroHash;
+    const values = [entry.owner, entry.codeBytes32, entry.rakebackPct, referrerCode];
+    return {
+      owner: entry.owner,
+      code: entry.code,
+      rakebackPct: entry.rakebackPct,
+      referrerCode: referrerCode === ethers.ZeroHash ? null : ethers.decodeBytes32String(referrerCode),
+      values,
+      leaf: ethers.keccak256(ethers.keccak256(coder.encode(LEAF_TYPES, values))),
+    };
+  }).sort((a, b) => (a.leaf < b.leaf ? -1 : 1));
+
+  const tree = new Array(Math.max(2 * entries.length - 1, 0));
+  entries.forEach((entry, idx) => {
+    entry.treeIndex = tree.length - 1 - idx;
+    tree[entry.treeIndex] = entry.leaf;
   });
+  for (let i = tree.length - 1 - entries.length; i >= 0; i -= 1) {
+    tree[i] = hashPair(tree[2 * i + 1], tree[2 * i + 2]);
+  }
 
-  if (reg.referrer) {
-    const referrerCode = reg.referrer.toUpperCase();
-    if (codeToAddress[referrerCode]) {
-      output.referralAssignments.push({
-        player: ethers.getAddress(reg.address),
-        referrerCode,
-        referrerCodeBytes32: ethers.encodeBytes32String(referrerCode),
-        referrerAddress: ethers.getAddress(codeToAddress[referrerCode]),
-      });
+  for (const entry of entries) {
+    const proof = [];
+    for (let i = entry.treeIndex; i > 0; i = Math.floor((i - 1) / 2)) {
+      proof.push(tree[i % 2 === 1 ? i + 1 : i - 1]);
     }
+    entry.proof = proof;
   }
+
+  return {
+    root: entries.length ? tree[0] : ethers.ZeroHash,
+    leafEncoding: LEAF_TYPES,
+    entries: entries.sort((a, b) => a.code.localeCompare(b.code)),
+  };
+}
+
+// Compares by code; output is sorted by code so the same inputs always give the same diff.
+function buildDiff(previous, current) {
+  const describe = (exported) => {
+    const referrers = new Map((exported.referralAssignments ?? []).map((entry) => [entry.player.toLowerCase(), entry.referrerCode]));
+    return new Map((exported.affiliateCodes ?? []).map((entry) => [entry.code, {
+      owner: entry.owner,
+      rakebackPct: entry.rakebackPct,
+      referrerCode: referrers.get(entry.owner.toLowerCase()) ?? null,
+    }]));
+  };
+  const before = describe(previous);
+  const after = describe(current);
+  const codes = [...new Set([...before.keys(), ...after.keys()])].sort();
+
+  const diff = { added: [], removed: [], changed: [] };
+  for (const code of codes) {
+    const old = before.get(code);
+    const next = after.get(code);
+    if (!old) diff.added.push({ code, ...next });
+    else if (!next) diff.removed.push({ code, ...old });
+    else {
+      const fields = Object.keys(next).filter((key) => old[key] !== next[key]);
+      if (fields.length) {
+        diff.changed.push({ code, changes: Object.fromEntries(fields.map((key) => [key, { from: old[key], to: next[key] }])) });
+      }
+    }
+  }
+  return diff;
+}
+
+const exported = buildJsonExport(registrations);
+for (const entry of exported.unresolvedReferrals) {
+  console.error(
+    'Warning: ' + entry.code + ' was referred by ' + entry.referrerCode + ' (' + entry.referrerStatus +
+    '), which is not an active code; the referral is not exported.'
+  );
+}
+if (!dryRun && exported.unresolvedReferrals.length > 0 && !dropUnresolved) {
+  fail(
+    'Not marking anything exported: ' + exported.unresolvedReferrals.length + ' referral(s) would be lost. ' +
+    'Re-run with --drop-unresolved to export these codes without their referrer.'
+  );
+}
+let output = exported;
+if (format === 'calldata') output = buildCalldataExport(exported);
+if (format === 'merkle') output = buildMerkleExport(exported);
+if (format === 'diff') {
+  const previous = JSON.parse(fs.readFileSync(diffPath, 'utf8'));
+  output = buildDiff(previous, exported);
 }
 
 console.log(JSON.stringify(output, null, 2));
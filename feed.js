@@ -0,0 +1,56 @@
+import { EventEmitter } from 'node:events';
+import { getFeedSpins, getLeaderboard } from './storage.js';
+
+// In-process pub/sub for the live feed. Events are { type, id, data }; only
+// spin events carry an id (the spins row id) so clients can resume from it.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const LEADERBOARD_SIZE = 10;
+let lastLeaderboardKey = null;
+
+function leaderboardKey(leaderboard) {
+  return JSON.stringify(leaderboard.map((row) => [row.eth_address, row.balance_wwxrp]));
+}
+
+export function subscribe(listener) {
+  if (lastLeaderboardKey === null) lastLeaderboardKey = leaderboardKey(getLeaderboard(LEADERBOARD_SIZE));
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+export function publish(type, data, id = null) {
+  emitter.emit('event', { type, id, data });
+}
+
+// Leaderboard events only fire when the default top 10 actually changes.
+function publishLeaderboardChange() {
+  const leaderboard = getLeaderboard(LEADERBOARD_SIZE);
+  const key = leaderboardKey(leaderboard);
+  if (key === lastLeaderboardKey) return;
+  lastLeaderboardKey = key;
+  publish('leaderboard', { window: 'all', metric: 'balance', leaderboard });
+}
+
+// Called after atomicSpin commits. Reads the stored rows back so live events
+// have the same shape as replayed ones.
+export function publishSpin({ spinIds, spin }) {
+  if (emitter.listenerCount('event') === 0) {
+    lastLeaderboardKey = null;
+    return;
+  }
+  for (const row of getFeedSpins({ ids: spinIds, limit: spinIds.length })) {
+    publish('spin', row, row.id);
+    if (row.jackpot_prize > 0) {
+      publish('jackpot', {
+        spin_id: row.id,
+        eth_address: row.eth_address,
+        display_name: row.display_name,
+        currency: row.currency,
+        amount: row.jackpot_prize,
+        pool: spin.jackpotPool,
+      });
+    }
+  }
+  publishLeaderboardChange();
+}
@@ -13,8 +13,9 @@ const FULL_TICKET_PAYOUTS_BPS = [
   100000,
   10000000,
 ];
-const CURRENCY_WWXRP = 3;
-const CURRENCY_NAMES = ['ETH', 'BURNIE', 'DGNRS', 'WWXRP'];
+export const CURRENCY_ETH = 0;
+export const CURRENCY_WWXRP = 3;
+export const CURRENCY_NAMES = ['ETH', 'BURNIE', 'DGNRS', 'WWXRP'];
 
 const ROI_THRESHOLDS = {
   MIN_SCORE: 0,
@@ -29,6 +30,28 @@ const ROI_VALUES = {
   MAX: 9990,
 };
 const ETH_ROI_BONUS_BPS = 500;
+const JACKPOT_CONTRIBUTION_BPS = 100;
+
+// Near-miss prizes keyed by match count. `consolationBps` pays a fixed share of the
+// bet; one `lootbox` entry is drawn by weight and pays `multiplierBps` of the bet.
+export const DEFAULT_PRIZE_TABLE = {
+  6: {
+    consolationBps: 0,
+    lootbox: [
+      { label: 'Common', weight: 70, multiplierBps: 5000 },
+      { label: 'Rare', weight: 25, multiplierBps: 20000 },
+      { label: 'Epic', weight: 5, multiplierBps: 100000 },
+    ],
+  },
+  7: {
+    consolationBps: 10000,
+    lootbox: [
+      { label: 'Rare', weight: 60, multiplierBps: 50000 },
+      { label: 'Epic', weight: 30, multiplierBps: 200000 },
+      { label: 'Legendary', weight: 10, multiplierBps: 1000000 },
+    ],
+  },
+};
 const WWXRP_HIGH_ROI_MIN = 9000;
 const WWXRP_HIGH_ROI_MAX = 10990;
 const WWXRP_BONUS_FACTOR_SCALE = 1000000;
@@ -41,6 +64,32 @@ function randomInt(max) {
   return crypto.randomInt(max);
 }
 
+// Validates a prize table shaped like DEFAULT_PRIZE_TABLE (e.g. parsed from env).
+export function normalizePrizeTable(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Prize table must be an object');
+  const table = {};
+  for (const [key, tier] of Object.entries(raw)) {
+    const matches = Number(key);
+    if (!Number.isInteger(matches) || matches < 0 || matches > 8) {
+      throw new Error(`Invalid prize table match count '${key}'`);
+    }
+    const consolationBps = Number(tier?.consolationBps ?? 0);
+    if (!Number.isInteger(consolationBps) || consolationBps < 0) {
+      throw new Error(`Invalid consolationBps for ${matches} matches`);
+    }
+    const lootbox = (tier?.lootbox ?? []).map((entry) => {
+      const weight = Number(entry?.weight);
+      const multiplierBps = Number(entry?.multiplierBps);
+      if (!Number.isInteger(weight) || weight < 1 || !Number.isInteger(multiplierBps) || multiplierBps < 0) {
+        throw new Error(`Invalid lootbox entry for ${matches} matches`);
+      }
+      return { label: String(entry.label ?? 'Lootbox'), weight, multiplierBps };
+    });
+    table[matches] = { consolationBps, lootbox };
+  }
+  return table;
+}
+
 function weightedBucket(randomValue) {
   const value = randomValue % TOTAL_WEIGHT;
   let cumulative = 0;
@@ -55,6 +104,60 @@ function randomWeightedBucket() {
   return weightedBucket(randomInt(TOTAL_WEIGHT));
 }
 
+// Lootbox draws use their own HMAC message so they never reuse the ticket digest.
+function lootboxRoll(totalWeight, seed, nonce) {
+  if (!seed) return randomInt(totalWeight);
+  const digest = crypto.createHmac('sha256', seed.serverSeed).update(`${seed.clientSeed}:${nonce}:lootbox`).digest();
+  return digest.readUInt32BE(0) % totalWeight;
+}
+
+// The draw keeps the stake and the entries it was drawn from, so it can be recomputed
+// from the revealed seed even after PRIZE_TABLE changes.
+export function drawLootbox(entries, stake, seed, nonce) {
+  if (!entries?.length) return null;
+  const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  let roll = lootboxRoll(totalWeight, seed, nonce);
+  const entry = entries.find((candidate) => {
+    roll -= candidate.weight;
+    return roll < 0;
+  });
+  return {
+    label: entry.label,
+    multiplierBps: entry.multiplierBps,
+    amount: (stake * entry.multiplierBps) / 10000,
+    stake,
+    entries,
+  };
+}
+
+export function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+export function generateClientSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+export function hashServerSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+// Provably fair house ticket: HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}`).
+// The 32-byte digest is split into eight 4-byte words, one per trait draw,
+// each fed through the same weighted bucket selection as random tickets.
+export function ticketFromSeed(serverSeed, clientSeed, nonce) {
+  const digest = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${nonce}`).digest();
+  const traits = [];
+  for (let q = 0; q < 4; q += 1) {
+    traits.push({
+      quadrant: q,
+      color: weightedBucket(digest.readUInt32BE(q * 8)),
+      symbol: weightedBucket(digest.readUInt32BE(q * 8 + 4)),
+    });
+  }
+  return { traits };
+}
+
 export function generateRandomTicket() {
   const traits = [
     { quadrant: 0, color: randomWeightedBucket(), symbol: randomWeightedBucket() },
@@ -66,6 +169,24 @@ export function generateRandomTicket() {
   return { traits };
 }
 
+// Exact probability of each match count (0-8) for a ticket. Every trait draw is
+// independent, so each of the 8 traits matches with probability weight / TOTAL_WEIGHT.
+export function matchDistribution(ticket) {
+  let dist = [1];
+  for (const trait of ticket.traits) {
+    for (const bucket of [Number(trait.color), Number(trait.symbol)]) {
+      const p = BUCKET_WEIGHTS[bucket] / TOTAL_WEIGHT;
+      const next = new Array(dist.length + 1).fill(0);
+      for (let k = 0; k < dist.length; k += 1) {
+        next[k] += dist[k] * (1 - p);
+        next[k + 1] += dist[k] * p;
+      }
+      dist = next;
+    }
+  }
+  return dist;
+}
+
 function countMatches(playerTicket, resultTicket) {
   let matches = 0;
   for (let q = 0; q < 4; q += 1) {
@@ -118,6 +239,14 @@ function bonusRoiForBucket(bucket, bonusRoiBps) {
   return Math.floor((bonusRoiBps * factor) / WWXRP_BONUS_FACTOR_SCALE);
 }
 
+// Numerator/denominator of one quadrant's EV normalization factor given whether
+// the color and symbol matched (wC, wS are the player's bucket weights).
+function quadrantEvRatio(wC, wS, colorMatch, symbolMatch) {
+  if (colorMatch && symbolMatch) return [100, wC * wS];
+  if (colorMatch || symbolMatch) return [1300, 75 * (wC + wS) - 2 * wC * wS];
+  return [4225, (TOTAL_WEIGHT - wC) * (TOTAL_WEIGHT - wS)];
+}
+
 // Per-outcome EV normalization using product-of-ratios
 function calculateEvNormalization(playerTicket, resultTicket) {
   let num = 1;
@@ -129,27 +258,46 @@ function calculateEvNormalization(playerTicket, resultTicket) {
     const rColor = resultTicket.traits[q].color;
     const rSymbol = resultTicket.traits[q].symbol;
 
-    const wC = BUCKET_WEIGHTS[pColor];
-    const wS = BUCKET_WEIGHTS[pSymbol];
-
-    const colorMatch = pColor === rColor;
-    const symbolMatch = pSymbol === rSymbol;
-
-    if (colorMatch && symbolMatch) {
-      num *= 100;
-      den *= wC * wS;
-    } else if (colorMatch || symbolMatch) {
-      num *= 1300;
-      den *= 75 * (wC + wS) - 2 * wC * wS;
-    } else {
-      num *= 4225;
-      den *= (TOTAL_WEIGHT - wC) * (TOTAL_WEIGHT - wS);
-    }
+    const [qNum, qDen] = quadrantEvRatio(
+      BUCKET_WEIGHTS[pColor],
+      BUCKET_WEIGHTS[pSymbol],
+      pColor === rColor,
+      pSymbol === rSymbol
+    );
+    num *= qNum;
+    den *= qDen;
   }
 
   return num / den;
 }
 
+function effectiveRoiFor(matches, roiBps, highRoi, currency) {
+  const bucket = bonusBucket(matches);
+  if (currency === CURRENCY_WWXRP && highRoi > roiBps && bucket !== 0) {
+    const bonusRoi = highRoi - roiBps;
+    return roiBps + bonusRoiForBucket(bucket, bonusRoi);
+  }
+  if (currency === CURRENCY_ETH && bucket !== 0) {
+    return roiBps + bonusRoiForBucket(bucket, ETH_ROI_BONUS_BPS);
+  }
+  return roiBps;
+}
+
+// Activity score a spin is played at: the stored score plus this spin's credit.
+function spinActivityScore(activityScore) {
+  return Math.min(Number(activityScore) + 100, ROI_THRESHOLDS.MAX_SCORE);
+}
+
+function normalizeTicket(ticket) {
+  return {
+    traits: ticket.traits.map((trait, idx) => ({
+      quadrant: idx,
+      color: Number(trait.color),
+      symbol: Number(trait.symbol),
+    })),
+  };
+}
+
 function formatNumberWithOptionalDecimals(value, decimals = 2) {
   if (!Number.isFinite(value)) return 'n/a';
   const rounded = Number(value.toFixed(decimals));
@@ -158,13 +306,13 @@ function formatNumberWithOptionalDecimals(value, decimals = 2) {
   return rounded.toLocaleString(undefined, { minimumFractionDigits: places, maximumFractionDigits: places });
 }
 
-function formatCurrencyAmount(amount, currency) {
+export function formatCurrencyAmount(amount, currency) {
   const name = currency === CURRENCY_WWXRP ? '' : (CURRENCY_NAMES[currency] ?? '');
   const value = formatNumberWithOptionalDecimals(amount, 2);
   return name ? `${value} ${name}` : value;
 }
 
-function formatMultiplier(value) {
+export function formatMultiplier(value) {
   if (!Number.isFinite(value)) return 'n/a';
   // Show 2 decimal places, but omit if .00
   const fixed = value.toFixed(2);
@@ -187,87 +335,233 @@ function buildMathTable(rows, addSeparatorBeforeLast) {
   return lines.join('\n');
 }
 
-export function spinFullTicket({ player, ticket, amount, currency }) {
-  const balance = Number(player.balance_wwxrp);
-  if (balance < amount) return null;
-
-  const activityScore = Math.min(Number(player.activity_score_bps) + 100, ROI_THRESHOLDS.MAX_SCORE);
+function spinTicket({ ticket, amount, currency, activityScore, resultTicket }) {
   const roiBps = calculateRoi(activityScore, currency);
   const highRoi = currency === CURRENCY_WWXRP ? calculateWwxrpHighRoi(activityScore) : 0;
 
-  const playerTicket = {
-    traits: ticket.traits.map((trait, idx) => ({
-      quadrant: idx,
-      color: Number(trait.color),
-      symbol: Number(trait.symbol),
-    })),
-  };
-  const resultTicket = generateRandomTicket();
+  const playerTicket = normalizeTicket(ticket);
 
   const matches = countMatches(playerTicket, resultTicket);
 
   const payoutMultiplierBps = FULL_TICKET_PAYOUTS_BPS[matches];
   const isJackpot = matches === 8;
 
-  let effectiveRoi = roiBps;
-  const bucket = bonusBucket(matches);
-  if (currency === CURRENCY_WWXRP && highRoi > roiBps && bucket !== 0) {
-    const bonusRoi = highRoi - roiBps;
-    effectiveRoi = roiBps + bonusRoiForBucket(bucket, bonusRoi);
-  } else if (currency === 0 && bucket !== 0) {
-    effectiveRoi = roiBps + bonusRoiForBucket(bucket, ETH_ROI_BONUS_BPS);
-  }
+  const effectiveRoi = effectiveRoiFor(matches, roiBps, highRoi, currency);
 
   const evNorm = calculateEvNormalization(playerTicket, resultTicket);
   let payout = (amount * payoutMultiplierBps * effectiveRoi) / 1_000_000 * evNorm;
 
-  const totalBet = amount;
-  const totalPayout = payout;
-  const netResult = totalPayout - totalBet;
+  return {
+    matches,
+    payoutMultiplierBps,
+    roiBps,
+    effectiveRoi,
+    evNorm,
+    payout,
+    playerTicket,
+    resultTicket,
+    isJackpot,
+  };
+}
 
+function buildSpinMath(result, amount, currency, jackpotContribution) {
+  const { matches, payoutMultiplierBps, effectiveRoi, evNorm, payout } = result;
   const matchMultiplier = payoutMultiplierBps / 100;
   const activityMultiplier = effectiveRoi / 10000;
-  const isLoss = payout <= 0;
+  const isLoss = result.totalPayout <= 0;
   const matchLabel = `${matches} ${matches === 1 ? 'match' : 'matches'}`;
-  const factors = [
-    [formatCurrencyAmount(amount, currency), 'Bet'],
-    [formatMultiplier(matchMultiplier), matchLabel],
-  ];
+  const factors = [[formatCurrencyAmount(amount, currency), 'Bet']];
+  if (jackpotContribution > 0) {
+    factors.push([`-${formatCurrencyAmount(jackpotContribution, currency)}`, 'To jackpot pool']);
+  }
+  factors.push([formatMultiplier(matchMultiplier), matchLabel]);
   if (!isLoss) {
     factors.push(
       [formatMultiplier(activityMultiplier), 'Activity score'],
-      [formatMultiplier(evNorm), 'Difficulty'],
-      [formatCurrencyAmount(payout, currency), 'Payout']
+      [formatMultiplier(evNorm), 'Difficulty']
     );
+    if (result.jackpotPrize > 0) {
+      factors.push([`+${formatCurrencyAmount(result.jackpotPrize, currency)}`, 'Jackpot pool']);
+    }
+    if (result.consolationPrize > 0) {
+      factors.push([`+${formatCurrencyAmount(result.consolationPrize, currency)}`, 'Consolation']);
+    }
+    if (result.lootboxPrize) {
+      factors.push([`+${formatCurrencyAmount(result.lootboxPrize.amount, currency)}`, `${result.lootboxPrize.label} lootbox`]);
+    }
+    factors.push([formatCurrencyAmount(result.totalPayout ?? payout, currency), 'Payout']);
   }
-  const math = buildMathTable(factors, !isLoss);
+  return buildMathTable(factors, !isLoss);
+}
+
+// Exact quote for one ticket at `activityScore` (the stored score; the spin's own
+// +100 credit is applied as in spinFullTicket). Each quadrant resolves to one of
+// four outcomes (neither, color only, symbol only, both), so enumerating all 4^4
+// combinations gives the exact probability and payout of every result. Near-miss
+// prizes are included at their expected value. The jackpot contribution is taken
+// off the bet as in a live spin, but the pool itself is not included.
+export function quoteTicket({ ticket, amount, currency, activityScore = 0, prizeTable = DEFAULT_PRIZE_TABLE }) {
+  const jackpotContribution = (amount * JACKPOT_CONTRIBUTION_BPS) / 10000;
+  const stake = amount - jackpotContribution;
+  const score = spinActivityScore(activityScore);
+  const roiBps = calculateRoi(score, currency);
+  const highRoi = currency === CURRENCY_WWXRP ? calculateWwxrpHighRoi(score) : 0;
+  const playerTicket = normalizeTicket(ticket);
+
+  const quadrantOutcomes = playerTicket.traits.map(({ color, symbol }) => {
+    const wC = BUCKET_WEIGHTS[color];
+    const wS = BUCKET_WEIGHTS[symbol];
+    const pC = wC / TOTAL_WEIGHT;
+    const pS = wS / TOTAL_WEIGHT;
+    return [
+      [false, false, (1 - pC) * (1 - pS)],
+      [true, false, pC * (1 - pS)],
+      [false, true, (1 - pC) * pS],
+      [true, true, pC * pS],
+    ].map(([colorMatch, symbolMatch, probability]) => ({
+      matches: Number(colorMatch) + Number(symbolMatch),
+      probability,
+      ratio: quadrantEvRatio(wC, wS, colorMatch, symbolMatch),
+    }));
+  });
+
+  const probability = new Array(9).fill(0);
+  const evContribution = new Array(9).fill(0);
+  const visit = (q, p, matches, num, den) => {
+    if (q === 4) {
+      const payoutMultiplierBps = FULL_TICKET_PAYOUTS_BPS[matches];
+      const effectiveRoi = effectiveRoiFor(matches, roiBps, highRoi, currency);
+      const payout = (stake * payoutMultiplierBps * effectiveRoi) / 1_000_000 * (num / den);
+      probability[matches] += p;
+      evContribution[matches] += p * payout;
+      return;
+    }
+    for (const outcome of quadrantOutcomes[q]) {
+      visit(q + 1, p * outcome.probability, matches + outcome.matches, num * outcome.ratio[0], den * outcome.ratio[1]);
+    }
+  };
+  visit(0, 1, 0, 1, 1);
+
+  probability.forEach((p, matches) => {
+    const tier = prizeTable?.[matches];
+    if (!tier) return;
+    const lootboxWeight = tier.lootbox.reduce((sum, entry) => sum + entry.weight, 0);
+    const lootboxBps = lootboxWeight
+      ? tier.lootbox.reduce((sum, entry) => sum + entry.weight * entry.multiplierBps, 0) / lootboxWeight
+      : 0;
+    evContribution[matches] += p * (stake * (tier.consolationBps + lootboxBps)) / 10000;
+  });
+
+  const expectedPayout = evContribution.reduce((sum, value) => sum + value, 0);
+  return {
+    activityScore: score,
+    roiBps,
+    matches: probability.map((p, matches) => ({
+      matches,
+      probability: p,
+      payoutMultiplierBps: FULL_TICKET_PAYOUTS_BPS[matches],
+      expectedPayout: p > 0 ? evContribution[matches] / p : 0,
+      evContribution: evContribution[matches],
+    })),
+    amount,
+    currency,
+    jackpotContribution,
+    expectedPayout,
+    expectedNet: expectedPayout - amount,
+    rtp: amount > 0 ? expectedPayout / amount : null,
+  };
+}
+
+// Expected house take on a wager at the given base ROI, before match bonuses.
+export function houseEdge(amount, roiBps) {
+  return Math.max(0, (amount * (10000 - roiBps)) / 10000);
+}
+
+// Plays every ticket in `tickets` at `amount` each, with a single balance check
+// for the whole batch. When a seed ({ serverSeed, serverSeedHash, clientSeed, nonce })
+// is supplied, ticket i uses nonce + i; otherwise house tickets come from crypto.randomInt.
+//
+// `jackpot` ({ pool, resetTo }) is the progressive pool for this currency: every
+// ticket moves JACKPOT_CONTRIBUTION_BPS of its bet into the pool and plays for the
+// rest, an 8-match ticket wins the whole pool and it restarts at `resetTo`. Without
+// it no pool is played and the whole bet is staked. Near-miss consolation and
+// lootbox prizes come from `prizeTable`.
+export function spinFullTicket({
+  player,
+  tickets,
+  amount,
+  currency,
+  seed = null,
+  jackpot = null,
+  prizeTable = DEFAULT_PRIZE_TABLE,
+}) {
+  const currencyName = CURRENCY_NAMES[currency];
+  const balance = Number(player.balances?.[currencyName] ?? 0);
+  const totalBet = amount * tickets.length;
+  if (balance < totalBet) return null;
+
+  let activityScore = Number(player.activity_score_bps);
+  let jackpotPool = jackpot ? Number(jackpot.pool) : 0;
+  const contribution = jackpot ? (amount * JACKPOT_CONTRIBUTION_BPS) / 10000 : 0;
+  const stake = amount - contribution;
+  const results = tickets.map((ticket, idx) => {
+    activityScore = spinActivityScore(activityScore);
+    const nonce = seed ? seed.nonce + idx : null;
+    const resultTicket = seed
+      ? ticketFromSeed(seed.serverSeed, seed.clientSeed, nonce)
+      : generateRandomTicket();
+    const result = spinTicket({ ticket, amount: stake, currency, activityScore, resultTicket });
+
+    let jackpotPrize = 0;
+    if (jackpot) {
+      jackpotPool += contribution;
+      if (result.isJackpot) {
+        jackpotPrize = jackpotPool;
+        jackpotPool = Number(jackpot.resetTo);
+      }
+    }
+
+    const tier = prizeTable?.[result.matches];
+    const consolationPrize = tier ? (stake * tier.consolationBps) / 10000 : 0;
+    const lootboxPrize = tier ? drawLootbox(tier.lootbox, stake, seed, nonce) : null;
+    const totalPayout = result.payout + jackpotPrize + consolationPrize + (lootboxPrize?.amount ?? 0);
+
+    const full = { ...result, jackpotPrize, consolationPrize, lootboxPrize, totalPayout, nonce };
+    return { ...full, math: buildSpinMath(full, amount, currency, contribution) };
+  });
+
+  const totalPayout = results.reduce((sum, result) => sum + result.totalPayout, 0);
+  const netResult = totalPayout - totalBet;
+  const hasJackpot = results.some((result) => result.isJackpot);
+  const consolationPrize = results.reduce((sum, result) => sum + result.consolationPrize, 0);
+  const lootboxes = results.map((result) => result.lootboxPrize).filter(Boolean);
 
   const spin = {
     mode: 1,
-    results: [{
-      matches,
-      payoutMultiplierBps,
-      payout,
-      playerTicket,
-      resultTicket,
-      isJackpot,
-      math,
-    }],
+    results,
     totalBet,
     totalPayout,
     netResult,
-    consolationPrize: 0,
-    hasJackpot: isJackpot,
-    lootboxPrize: null,
+    consolationPrize,
+    hasJackpot,
+    lootboxPrize: lootboxes.length
+      ? { amount: lootboxes.reduce((sum, prize) => sum + prize.amount, 0), prizes: lootboxes }
+      : null,
+    jackpotPrize: results.reduce((sum, result) => sum + result.jackpotPrize, 0),
+    jackpotContribution: contribution * tickets.length,
+    jackpotPool: jackpot ? jackpotPool : null,
     currency,
     amountPerTicket: amount,
-    ticketCount: 1,
+    ticketCount: tickets.length,
+    fairness: seed
+      ? { serverSeedHash: seed.serverSeedHash, clientSeed: seed.clientSeed, nonce: seed.nonce }
+      : null,
   };
 
   return {
     player: {
       ...player,
-      balance_wwxrp: balance - totalBet + totalPayout,
+      balances: { ...player.balances, [currencyName]: balance - totalBet + totalPayout },
       activity_score_bps: activityScore,
     },
     spin,
@@ -6,12 +6,18 @@ import session from 'express-session';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import Database from 'better-sqlite3';
-import { isAddress, verifyMessage } from 'ethers';
+import { getAddress, isAddress } from 'ethers';
 import {
   getOrCreatePlayer,
   getPlayerByAddress,
+  getAccountAddress,
+  getAccount,
+  isAccountBanned,
+  linkWalletToAccount,
+  unlinkWallet,
   updatePlayerDiscord,
   setPlayerNonce,
+  getActivePlayerNonce,
   clearPlayerNonce,
   atomicSpin,
   sanitizePlayer,
@@ -19,11 +25,73 @@ import {
   ensureReferralCode,
   setAffiliateConfig,
   getLeaderboard,
+  getSpinLeaderboard,
   getBiggestWins,
+  getFeedSpins,
+  getDiscordRoleChanges,
   registerAgent,
+  recordAgentPledge,
+  updateAgentRegistration,
+  withdrawAgentRegistration,
+  getAgentReferralTree,
+  getAgentStatus,
   getAgentRegistrations,
+  getPlayerSeed,
+  getPlayerSeedHistory,
+  rotatePlayerSeed,
+  setPlayerClientSeed,
+  getSpinFairness,
+  getAffiliateReferrals,
+  getAffiliateDailyVolume,
+  getAffiliateEarnings,
+  getPlayerSpins,
+  getPlayerStats,
+  getJackpotSummary,
+  getSeasons,
+  getSeason,
+  getActiveSeason,
+  createSeason,
+  getSeasonStandings,
+  runSeasonTransitions,
+  searchPlayers,
+  adjustPlayerBalance,
+  setAccountBan,
+  unlockAffiliate,
+  removeAgentRegistration,
+  getAdminActions,
 } from './storage.js';
-import { spinFullTicket } from './game.js';
+import {
+  CURRENCY_NAMES,
+  CURRENCY_WWXRP,
+  DEFAULT_PRIZE_TABLE,
+  normalizePrizeTable,
+  spinFullTicket,
+  quoteTicket,
+  generateRandomTicket,
+  ticketFromSeed,
+  drawLootbox,
+  hashServerSeed,
+} from './game.js';
+import { subscribe, publishSpin } from './feed.js';
+import { buildSiweMessage, parseSiweMessage, validateSiweFields } from './siwe.js';
+import { createSignatureVerifier } from './signatures.js';
+import { createPledgeVerifier } from './pledges.js';
+import {
+  AGENT_REGISTRATION_TYPES,
+  AGENT_WITHDRAWAL_TYPES,
+  agentRegistrationDomain,
+  buildAgentRegistration,
+  buildAgentWithdrawal,
+  hashAgentTypedData,
+} from './agent-typed-data.js';
+import { createDiscordPublicKey, verifyDiscordRequest, createInteractionHandler } from './interactions.js';
+import {
+  createDiscordClient,
+  createOutboundQueue,
+  createSpinAnnouncer,
+  createRoleSync,
+  normalizeRoleConfig,
+} from './discord.js';
 
 dotenv.config();
 
@@ -33,10 +101,29 @@ const {
   DISCORD_REDIRECT_URI,
   DISCORD_GUILD_ID,
   DISCORD_BOT_TOKEN,
+  DISCORD_PUBLIC_KEY,
+  DISCORD_API_BASE,
+  DISCORD_ANNOUNCE_CHANNEL_ID,
+  DISCORD_ANNOUNCE_MIN_MULTIPLIER = 50,
+  DISCORD_ROLE_CONFIG,
+  DISCORD_ROLE_SYNC_MINUTES = 15,
   FRONTEND_ORIGIN,
   FRONTEND_REDIRECT,
   SESSION_SECRET,
   SESSION_DB_PATH,
+  PRIZE_TABLE,
+  ADMIN_ADDRESSES,
+  SIWE_DOMAIN,
+  SIWE_URI,
+  SIWE_CHAIN_ID = 1,
+  SIWE_NONCE_TTL_SECONDS = 600,
+  ETH_RPC_URL,
+  SIGNATURE_VALIDATOR_ADDRESS,
+  AGENT_CHAIN_ID,
+  AGENT_VERIFYING_CONTRACT,
+  AGENT_SIGNATURE_MAX_AGE_SECONDS = 600,
+  PLEDGE_ADDRESS,
+  PLEDGE_CONFIRMATIONS = 3,
   PORT = 8787,
 } = process.env;
 
@@ -45,6 +132,39 @@ if (isProd && !SESSION_SECRET) {
   throw new Error('SESSION_SECRET is required in production');
 }
 
+// Bot REST client and the queue all outbound Discord calls go through.
+const discordClient = DISCORD_BOT_TOKEN
+  ? createDiscordClient({ token: DISCORD_BOT_TOKEN, apiBase: DISCORD_API_BASE || undefined })
+  : null;
+const discordQueue = createOutboundQueue();
+const announceSpin = createSpinAnnouncer({
+  client: discordClient,
+  queue: discordQueue,
+  channelId: DISCORD_ANNOUNCE_CHANNEL_ID,
+  minMultiplier: Number(DISCORD_ANNOUNCE_MIN_MULTIPLIER),
+});
+
+// Guild roles from leaderboard rank, activity tier and affiliate status (DISCORD_ROLE_CONFIG).
+const syncRoles = discordClient && DISCORD_GUILD_ID && DISCORD_ROLE_CONFIG
+  ? createRoleSync({ client: discordClient, guildId: DISCORD_GUILD_ID, config: normalizeRoleConfig(JSON.parse(DISCORD_ROLE_CONFIG)) })
+  : null;
+
+// Near-miss consolation/lootbox prizes, overridable with a JSON PRIZE_TABLE.
+const prizeTable = PRIZE_TABLE ? normalizePrizeTable(JSON.parse(PRIZE_TABLE)) : DEFAULT_PRIZE_TABLE;
+
+// ECDSA, EIP-1271 and EIP-6492 signatures; contract wallets need ETH_RPC_URL.
+const signatures = createSignatureVerifier({
+  rpcUrl: ETH_RPC_URL,
+  universalValidator: SIGNATURE_VALIDATOR_ADDRESS,
+});
+
+// Agent pledges are ETH transfers to PLEDGE_ADDRESS, checked through ETH_RPC_URL.
+const pledges = createPledgeVerifier({
+  rpcUrl: ETH_RPC_URL,
+  recipient: PLEDGE_ADDRESS,
+  minConfirmations: Number(PLEDGE_CONFIRMATIONS),
+});
+
 const app = express();
 app.disable('x-powered-by');
 if (isProd) {
@@ -64,6 +184,18 @@ const frontendRedirect = (FRONTEND_REDIRECT
   ? FRONTEND_REDIRECT.trim()
   : (frontendOrigins[0] || 'http://localhost:5173'));
 
+// Sign-In with Ethereum settings. Domain and URI default to the frontend the
+// wallet prompt is shown on.
+const siweUri = SIWE_URI || frontendRedirect;
+const siweDomain = SIWE_DOMAIN || new URL(siweUri).host;
+const siweChainId = Number(SIWE_CHAIN_ID);
+const siweNonceTtlSeconds = Number(SIWE_NONCE_TTL_SECONDS);
+
+// EIP-712 domain for agent registrations; the chain defaults to the login chain.
+const agentChainId = Number(AGENT_CHAIN_ID || siweChainId);
+const agentDomain = agentRegistrationDomain({ chainId: agentChainId, verifyingContract: AGENT_VERIFYING_CONTRACT });
+const agentSignatureMaxAgeSeconds = Number(AGENT_SIGNATURE_MAX_AGE_SECONDS);
+
 app.use(cors({
   origin(origin, callback) {
     if (!origin) return callback(null, true);
@@ -73,7 +205,12 @@ app.use(cors({
   credentials: true,
 }));
 
-app.use(express.json());
+app.use(express.json({
+  // Discord interaction signatures cover the exact request bytes.
+  verify(req, _res, buf) {
+    if (req.originalUrl === '/discord/interactions') req.rawBody = buf;
+  },
+}));
 
 class SQLiteSessionStore extends session.Store {
   constructor(db) {
@@ -181,6 +318,12 @@ app.use(session({
   },
 }));
 
+// Express 4 doesn't catch rejected promises from handlers; this passes them to
+// next() so they end up in the error handler instead of crashing the process.
+function asyncRoute(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
 // Simple in-memory rate limiter per session. Returns middleware.
 // maxRequests within windowMs per session. Keyed on session ID.
 function rateLimit(maxRequests, windowMs) {
@@ -234,7 +377,7 @@ app.get('/auth/discord', (req, res) => {
   res.redirect(`https://discord.com/api/oauth2/authorize?${params.toString()}`);
 });
 
-app.get('/auth/discord/callback', async (req, res) => {
+app.get('/auth/discord/callback', asyncRoute(async (req, res) => {
   const code = req.query.code?.toString();
   const state = req.query.state?.toString();
 
@@ -307,7 +450,7 @@ app.get('/auth/discord/callback', async (req, res) => {
     console.error('Discord OAuth failed', error);
     res.status(500).send('Discord OAuth failed.');
   }
-});
+}));
 
 app.get('/auth/discord/me', (req, res) => {
   if (!req.session.user) {
@@ -323,14 +466,68 @@ app.post('/auth/discord/logout', (req, res) => {
   });
 });
 
+// Sets req.accountAddress, the primary wallet of the signed-in wallet's account.
+// Balances, spins and affiliate settings are read and written through it.
 function walletRequired(req, res, next) {
   if (!req.session.walletAddress) {
     res.status(401).json({ error: 'Wallet not connected' });
     return;
   }
+  if (isAccountBanned(req.session.walletAddress)) {
+    res.status(403).json({ error: 'Account is banned' });
+    return;
+  }
+  req.accountAddress = getAccountAddress(req.session.walletAddress) ?? req.session.walletAddress;
   next();
 }
 
+// Admin wallets from the comma-separated ADMIN_ADDRESSES, each `address` or
+// `address:role`. Roles rank viewer < moderator < admin (the default), and each
+// can do everything the ones below it can.
+const ADMIN_ROLES = ['viewer', 'moderator', 'admin'];
+const adminRoles = new Map(
+  (ADMIN_ADDRESSES || '').split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+    const [address, role = 'admin'] = entry.split(':').map((part) => part.trim().toLowerCase());
+    if (!ADMIN_ROLES.includes(role)) throw new Error(`Unknown admin role '${role}' for ${address} in ADMIN_ADDRESSES`);
+    return [address, role];
+  })
+);
+
+// Sets req.admin ({ address, role }) for the signed-in wallet if it holds at
+// least `minRole`.
+function adminRole(minRole) {
+  return (req, res, next) => {
+    if (!req.session.walletAddress) {
+      res.status(401).json({ error: 'Wallet not connected' });
+      return;
+    }
+    const address = req.session.walletAddress.toLowerCase();
+    const role = adminRoles.get(address);
+    if (!role) {
+      res.status(403).json({ error: 'Admin only' });
+      return;
+    }
+    if (ADMIN_ROLES.indexOf(role) < ADMIN_ROLES.indexOf(minRole)) {
+      res.status(403).json({ error: `Requires the ${minRole} role` });
+      return;
+    }
+    req.admin = { address, role };
+    next();
+  };
+}
+
+const adminRequired = adminRole('admin');
+
+// Every admin change takes a `reason` for the admin_actions log.
+function parseAdminReason(req, res) {
+  const reason = req.body?.reason?.toString().trim();
+  if (!reason || reason.length > 500) {
+    res.status(400).json({ error: 'reason is required (max 500 characters)' });
+    return null;
+  }
+  return reason;
+}
+
 function discordRequired(req, res, next) {
   if (!req.session.user) {
     res.status(401).json({ error: 'Discord not connected' });
@@ -354,6 +551,62 @@ function isValidTicket(ticket) {
   return ticket.traits.every(isValidTrait);
 }
 
+// Currency id (0-3) from a request value, `fallback` when absent, null when invalid.
+function parseCurrency(value, fallback = CURRENCY_WWXRP) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const currency = Number(value);
+  return Number.isInteger(currency) && CURRENCY_NAMES[currency] ? currency : null;
+}
+
+const SIGN_IN_STATEMENT = 'Sign in to Degenerette.';
+
+// Stores a fresh nonce for `address` and returns the SIWE message it must sign.
+function issueSiweMessage(address, statement) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  setPlayerNonce(address, nonce, siweNonceTtlSeconds);
+
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + siweNonceTtlSeconds * 1000);
+  const message = buildSiweMessage({
+    domain: siweDomain,
+    address: getAddress(address),
+    statement,
+    uri: siweUri,
+    chainId: siweChainId,
+    nonce,
+    issuedAt: issuedAt.toISOString(),
+    expirationTime: expiresAt.toISOString(),
+  });
+  return { message, nonce, expiresAt: expiresAt.toISOString() };
+}
+
+// Checks a SIWE message issued by issueSiweMessage and its signature, then
+// consumes the nonce. Every field is checked against this server's domain, URI,
+// chain, the expected statement and the unexpired nonce. Returns null on
+// success, or { status, error }.
+async function verifySiweMessage({ address, message, signature, statement }) {
+  const nonce = getActivePlayerNonce(address);
+  if (!nonce) return { status: 400, error: 'No nonce for address or nonce expired' };
+
+  const fields = parseSiweMessage(message);
+  if (!fields) return { status: 400, error: 'Invalid SIWE message' };
+  const invalid = validateSiweFields(fields, {
+    domain: siweDomain,
+    uri: siweUri,
+    chainId: siweChainId,
+    address,
+    nonce,
+  });
+  if (invalid) return { status: 400, error: invalid };
+  if (fields.statement !== statement) return { status: 400, error: 'Message statement mismatch' };
+
+  if (!await signatures.verifyMessage(address, message, signature)) {
+    return { status: 401, error: 'Signature mismatch' };
+  }
+  if (!clearPlayerNonce(address, nonce)) return { status: 400, error: 'No nonce for address or nonce expired' };
+  return null;
+}
+
 app.post('/api/wallet/nonce', rateLimit(5, 10000), (req, res) => {
   const address = req.body?.address?.toString().toLowerCase();
   if (!address || !isAddress(address)) {
@@ -362,63 +615,145 @@ app.post('/api/wallet/nonce', rateLimit(5, 10000), (req, res) => {
   }
 
   const player = getOrCreatePlayer(address);
-  const nonce = crypto.randomBytes(16).toString('hex');
-  setPlayerNonce(address, nonce);
-
-  const message = `Degenerette login\nNonce: ${nonce}`;
-  res.json({ message, address: player.eth_address });
+  res.json({ address: player.eth_address, ...issueSiweMessage(address, SIGN_IN_STATEMENT) });
 });
 
-app.post('/api/wallet/verify', (req, res) => {
+// Expects the SIWE message from /api/wallet/nonce and its signature.
+app.post('/api/wallet/verify', asyncRoute(async (req, res) => {
   const address = req.body?.address?.toString().toLowerCase();
   const signature = req.body?.signature?.toString();
-  if (!address || !isAddress(address) || !signature) {
+  const message = req.body?.message?.toString();
+  if (!address || !isAddress(address) || !signature || !message) {
     res.status(400).json({ error: 'Invalid payload' });
     return;
   }
 
-  const player = getPlayerByAddress(address);
-  if (!player?.nonce) {
-    res.status(400).json({ error: 'No nonce for address' });
-    return;
-  }
-
-  const message = `Degenerette login\nNonce: ${player.nonce}`;
-  let recovered;
-  try {
-    recovered = verifyMessage(message, signature);
-  } catch {
-    res.status(400).json({ error: 'Invalid signature' });
-    return;
-  }
-
-  if (recovered.toLowerCase() !== address) {
-    res.status(401).json({ error: 'Signature mismatch' });
+  const failure = await verifySiweMessage({ address, message, signature, statement: SIGN_IN_STATEMENT });
+  if (failure) {
+    res.status(failure.status).json({ error: failure.error });
     return;
   }
 
   req.session.walletAddress = address;
-  clearPlayerNonce(address);
+  const accountAddress = getAccountAddress(address) ?? address;
 
   const referrerCode = req.body?.referrerCode?.toString()?.trim();
   if (referrerCode) {
-    setReferrerCode(address, referrerCode);
+    setReferrerCode(accountAddress, referrerCode);
   }
 
   if (req.session.user) {
     updatePlayerDiscord(address, req.session.user);
   }
 
-  res.json({ player: sanitizePlayer(getPlayerByAddress(address)) });
-});
+  res.json({ player: sanitizePlayer(getPlayerByAddress(accountAddress)) });
+}));
 
 app.post('/api/wallet/logout', (req, res) => {
   req.session.walletAddress = null;
   res.status(204).end();
 });
 
+// Linking is signed by the wallet being added, unlinking by the signed-in wallet,
+// each over a statement naming the wallet and the account.
+const ACCOUNT_ACTIONS = {
+  link: {
+    signer: (req, address) => address,
+    statement: (address, accountId) => `Link wallet ${getAddress(address)} to Degenerette account ${accountId}.`,
+  },
+  unlink: {
+    signer: (req) => req.session.walletAddress,
+    statement: (address, accountId) => `Unlink wallet ${getAddress(address)} from Degenerette account ${accountId}.`,
+  },
+};
+
+function parseAccountAction(req, res, action) {
+  const address = req.body?.address?.toString().toLowerCase();
+  if (!address || !isAddress(address)) {
+    res.status(400).json({ error: 'Invalid address' });
+    return null;
+  }
+  // A banned wallet can't be moved into a clean account to shed its ban.
+  if (action === 'link' && isAccountBanned(address)) {
+    res.status(403).json({ error: 'Wallet belongs to a banned account' });
+    return null;
+  }
+  const account = getAccount(req.session.walletAddress);
+  return { account, address, signer: ACCOUNT_ACTIONS[action].signer(req, address) };
+}
+
+app.get('/api/account', walletRequired, (req, res) => {
+  res.json({ account: getAccount(req.session.walletAddress) });
+});
+
+app.post('/api/account/nonce', walletRequired, rateLimit(5, 10000), (req, res) => {
+  const action = req.body?.action?.toString();
+  if (!ACCOUNT_ACTIONS[action]) {
+    res.status(400).json({ error: "action must be 'link' or 'unlink'" });
+    return;
+  }
+  const parsed = parseAccountAction(req, res, action);
+  if (!parsed) return;
+  const { account, address, signer } = parsed;
+  getOrCreatePlayer(signer);
+  const statement = ACCOUNT_ACTIONS[action].statement(address, account.id);
+  res.json({ action, address, signer, ...issueSiweMessage(signer, statement) });
+});
+
+function accountChange(action, apply) {
+  return asyncRoute(async (req, res) => {
+    const parsed = parseAccountAction(req, res, action);
+    if (!parsed) return;
+    const { account, address, signer } = parsed;
+    const signature = req.body?.signature?.toString();
+    const message = req.body?.message?.toString();
+    if (!signature || !message) {
+      res.status(400).json({ error: 'Invalid payload' });
+      return;
+    }
+
+    const statement = ACCOUNT_ACTIONS[action].statement(address, account.id);
+    const failure = await verifySiweMessage({ address: signer, message, signature, statement });
+    if (failure) {
+      res.status(failure.status).json({ error: failure.error });
+      return;
+    }
+
+    const result = apply(account.id, address);
+    if (!result.ok) {
+      res.status(400).json({ error: result.error });
+      return;
+    }
+    res.json({ account: getAccount(req.session.walletAddress) });
+  });
+}
+
+app.post('/api/account/link', walletRequired, accountChange('link', linkWalletToAccount));
+app.post('/api/account/unlink', walletRequired, accountChange('unlink', unlinkWallet));
+
+// Query time ranges: `?range=24h|7d|30d|90d|all` or explicit `?from=&to=` ISO dates.
+const TIME_RANGE_DAYS = { '24h': 1, '7d': 7, '30d': 30, '90d': 90 };
+
+function toSqliteDate(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function parseTimeRange(query, defaultRange = '30d') {
+  if (query?.from || query?.to) {
+    const from = query.from ? new Date(query.from.toString()) : null;
+    const to = query.to ? new Date(query.to.toString()) : null;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) return null;
+    return { from: from ? toSqliteDate(from) : null, to: to ? toSqliteDate(to) : null };
+  }
+  const range = query?.range?.toString() || defaultRange;
+  if (range === 'all') return { from: null, to: null };
+  const days = TIME_RANGE_DAYS[range];
+  if (!days) return null;
+  return { from: toSqliteDate(new Date(Date.now() - days * 24 * 60 * 60 * 1000)), to: null };
+}
+
 app.get('/api/player', walletRequired, (req, res) => {
-  const player = getPlayerByAddress(req.session.walletAddress);
+  const player = getPlayerByAddress(req.accountAddress);
   if (!player) {
     res.status(404).json({ error: 'Player not found' });
     return;
@@ -426,11 +761,163 @@ app.get('/api/player', walletRequired, (req, res) => {
   res.json({ player: sanitizePlayer(player) });
 });
 
+app.get('/api/player/spins', walletRequired, (req, res) => {
+  const player = getPlayerByAddress(req.accountAddress);
+  if (!player) {
+    res.status(404).json({ error: 'Player not found' });
+    return;
+  }
+
+  const range = parseTimeRange(req.query, 'all');
+  if (!range) {
+    res.status(400).json({ error: 'Invalid time range' });
+    return;
+  }
+  const cursor = req.query.cursor ? Number(req.query.cursor) : null;
+  if (cursor !== null && (!Number.isInteger(cursor) || cursor < 1)) {
+    res.status(400).json({ error: 'Invalid cursor' });
+    return;
+  }
+  const minMatches = Number(req.query.minMatches ?? 0);
+  if (!Number.isInteger(minMatches) || minMatches < 0 || minMatches > 8) {
+    res.status(400).json({ error: 'minMatches must be 0-8' });
+    return;
+  }
+  const outcome = req.query.outcome?.toString();
+  if (outcome && outcome !== 'win' && outcome !== 'loss') {
+    res.status(400).json({ error: 'outcome must be win or loss' });
+    return;
+  }
+  const currency = parseCurrency(req.query.currency, null);
+  if (currency === null && req.query.currency !== undefined) {
+    res.status(400).json({ error: 'Unsupported currency' });
+    return;
+  }
+  const limitParam = Number(req.query.limit ?? 25);
+  const limit = Number.isFinite(limitParam) ? Math.min(Math.max(Math.floor(limitParam), 1), 100) : 25;
+
+  res.json(getPlayerSpins(player.id, { cursor, limit, range, minMatches, outcome, currency }));
+});
+
+app.get('/api/player/stats', walletRequired, (req, res) => {
+  const player = getPlayerByAddress(req.accountAddress);
+  if (!player) {
+    res.status(404).json({ error: 'Player not found' });
+    return;
+  }
+  const currency = parseCurrency(req.query.currency);
+  if (currency === null) {
+    res.status(400).json({ error: 'Unsupported currency' });
+    return;
+  }
+  res.json({ stats: getPlayerStats(player.id, currency) });
+});
+
+// Leaderboard windows in UTC. `season` is the active season, or the current
+// calendar month when no season is running.
+function leaderboardWindow(window, now = new Date()) {
+  const startOfDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  if (window === 'all') return { from: null, to: null };
+  if (window === 'daily') return { from: toSqliteDate(new Date(startOfDay)), to: null };
+  if (window === 'weekly') {
+    const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+    return { from: toSqliteDate(new Date(startOfDay - daysSinceMonday * 24 * 60 * 60 * 1000)), to: null };
+  }
+  if (window === 'season') {
+    const season = getActiveSeason();
+    if (season) return { from: season.startedAt ?? season.startsAt, to: season.endsAt };
+    return { from: toSqliteDate(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))), to: null };
+  }
+  return null;
+}
+
+const LEADERBOARD_METRICS = ['balance', 'net', 'wagered', 'multiplier', 'activity'];
+
 app.get('/api/leaderboard', (_req, res) => {
   const limitParam = Number(_req.query?.limit ?? 10);
   const limit = Number.isFinite(limitParam) ? Math.min(Math.max(limitParam, 1), 50) : 10;
-  const leaderboard = getLeaderboard(limit);
-  res.json({ leaderboard });
+  const window = _req.query?.window?.toString() || 'all';
+  const metric = _req.query?.metric?.toString() || 'balance';
+  const includeAnonymous = ['1', 'true'].includes(_req.query?.includeAnonymous?.toString());
+
+  const range = leaderboardWindow(window);
+  if (!range) {
+    res.status(400).json({ error: 'window must be all, daily, weekly or season' });
+    return;
+  }
+  if (!LEADERBOARD_METRICS.includes(metric)) {
+    res.status(400).json({ error: `metric must be one of ${LEADERBOARD_METRICS.join(', ')}` });
+    return;
+  }
+  if (metric === 'balance' && window !== 'all') {
+    res.status(400).json({ error: 'Balance is only ranked all-time' });
+    return;
+  }
+
+  const leaderboard = metric === 'balance'
+    ? getLeaderboard(limit, { includeAnonymous })
+    : getSpinLeaderboard({ metric, ...range, includeAnonymous, limit });
+  res.json({ window, metric, range, leaderboard });
+});
+
+app.get('/api/seasons', (_req, res) => {
+  res.json({ seasons: getSeasons() });
+});
+
+app.get('/api/seasons/:id/leaderboard', (req, res) => {
+  const seasonId = Number(req.params.id);
+  if (!Number.isInteger(seasonId) || seasonId < 1) {
+    res.status(400).json({ error: 'Invalid season id' });
+    return;
+  }
+  const result = getSeasonStandings(seasonId);
+  if (!result) {
+    res.status(404).json({ error: 'Season not found' });
+    return;
+  }
+  res.json(result);
+});
+
+app.post('/api/seasons', adminRequired, (req, res) => {
+  const name = req.body?.name?.toString().trim();
+  const startsAt = new Date(req.body?.startsAt?.toString() ?? '');
+  const endsAt = new Date(req.body?.endsAt?.toString() ?? '');
+  if (!name || name.length > 64) {
+    res.status(400).json({ error: 'name is required (max 64 characters)' });
+    return;
+  }
+  if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+    res.status(400).json({ error: 'startsAt and endsAt must be ISO dates' });
+    return;
+  }
+  if (endsAt <= startsAt || endsAt <= new Date()) {
+    res.status(400).json({ error: 'endsAt must be after startsAt and in the future' });
+    return;
+  }
+  const reason = parseAdminReason(req, res);
+  if (!reason) return;
+  const result = createSeason(req.admin, {
+    name,
+    startsAt: toSqliteDate(startsAt),
+    endsAt: toSqliteDate(endsAt),
+    reason,
+  });
+  if (result.error) {
+    res.status(409).json({ error: result.error });
+    return;
+  }
+  runSeasonTransitions();
+  res.json({ ok: true, season: getSeason(result.season.id) });
+});
+
+app.get('/api/discord/role-changes', adminRole('viewer'), (req, res) => {
+  const limitParam = Number(req.query.limit ?? 100);
+  const limit = Number.isFinite(limitParam) ? Math.min(Math.max(Math.floor(limitParam), 1), 500) : 100;
+  res.json({ changes: getDiscordRoleChanges(limit) });
+});
+
+app.get('/api/jackpot', (_req, res) => {
+  res.json(getJackpotSummary());
 });
 
 app.get('/api/biggest-wins', (_req, res) => {
@@ -440,43 +927,289 @@ app.get('/api/biggest-wins', (_req, res) => {
   res.json({ wins });
 });
 
-const MIN_BET_WWXRP = 1;
+// Live feed over Server-Sent Events: `spin` events (id = spin id), `jackpot`
+// wins and `leaderboard` changes. Reconnecting clients send Last-Event-ID and
+// get the spins they missed replayed first.
+const FEED_REPLAY_LIMIT = 100;
+const FEED_HEARTBEAT_MS = 25 * 1000;
+
+app.get('/api/feed', (req, res) => {
+  const minMultiplier = Number(req.query.minMultiplier ?? 0);
+  if (!Number.isFinite(minMultiplier) || minMultiplier < 0) {
+    res.status(400).json({ error: 'minMultiplier must be a non-negative number' });
+    return;
+  }
+  const lastEventId = Number(req.get('Last-Event-ID') ?? req.query.lastEventId);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = ({ type, id, data }) => {
+    if (type === 'spin' && data.multiplier < minMultiplier) return;
+    res.write(`${id !== null ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  if (Number.isInteger(lastEventId) && lastEventId >= 0) {
+    for (const row of getFeedSpins({ afterId: lastEventId, minMultiplier, limit: FEED_REPLAY_LIMIT })) {
+      send({ type: 'spin', id: row.id, data: row });
+    }
+  }
+
+  const unsubscribe = subscribe(send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), FEED_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Minimum bet and allowed decimal places per currency id (ETH, BURNIE, DGNRS, WWXRP).
+const BET_LIMITS = [
+  { minBet: 0.001, decimals: 4 },
+  { minBet: 10, decimals: 0 },
+  { minBet: 1, decimals: 0 },
+  { minBet: 1, decimals: 0 },
+];
+
+function isValidBetAmount(amount, { minBet, decimals }) {
+  if (!Number.isFinite(amount) || amount < minBet) return false;
+  const scaled = amount * 10 ** decimals;
+  return Math.abs(scaled - Math.round(scaled)) < 1e-9;
+}
+
+const MAX_TICKETS_PER_SPIN = 10;
+
+// Accepts a single `ticket`, an array of `tickets`, or a `quickPicks` count of
+// randomly generated tickets. Returns null if the payload is invalid.
+function parseSpinTickets(body) {
+  if (body?.quickPicks !== undefined) {
+    const count = Number(body.quickPicks);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_TICKETS_PER_SPIN) return null;
+    return Array.from({ length: count }, () => generateRandomTicket());
+  }
+  const tickets = Array.isArray(body?.tickets) ? body.tickets : [body?.ticket];
+  if (tickets.length < 1 || tickets.length > MAX_TICKETS_PER_SPIN) return null;
+  if (!tickets.every(isValidTicket)) return null;
+  return tickets;
+}
+
+// Validates and plays a spin for a wallet, then publishes it to the live feed and
+// Discord. Shared by POST /api/spin and the Discord /spin command.
+function playSpin(address, { tickets, amount, currency }) {
+  if (!tickets) return { error: `Invalid ticket (1-${MAX_TICKETS_PER_SPIN} tickets per spin)` };
+  if (currency === null) return { error: 'Unsupported currency' };
+  const limits = BET_LIMITS[currency];
+  if (!isValidBetAmount(amount, limits)) {
+    const precision = limits.decimals ? `up to ${limits.decimals} decimals` : 'whole numbers only';
+    return { error: `Minimum ${CURRENCY_NAMES[currency]} bet is ${limits.minBet} (${precision})` };
+  }
+
+  const result = atomicSpin(address, (player, seed, jackpotPools) =>
+    spinFullTicket({
+      player,
+      tickets,
+      amount,
+      currency,
+      seed,
+      jackpot: jackpotPools[CURRENCY_NAMES[currency]],
+      prizeTable,
+    })
+  );
+  if (result.error) return result;
+
+  publishSpin(result);
+  announceSpin(result);
+  return result;
+}
 
 app.post('/api/spin', walletRequired, rateLimit(10, 5000), (req, res) => {
+  const result = playSpin(req.accountAddress, {
+    tickets: parseSpinTickets(req.body),
+    amount: Number(req.body?.amount),
+    currency: parseCurrency(req.body?.currency),
+  });
+
+  if (result.error) {
+    res.status(400).json({ error: result.error });
+    return;
+  }
+
+  res.json({
+    player: sanitizePlayer(result.player),
+    result: result.spin,
+    rakeback: result.rakeback,
+  });
+});
+
+// Discord slash commands (see discord-commands.js). Discord signs every request
+// with the application's Ed25519 key; unsigned or stale requests get a 401.
+const discordPublicKey = DISCORD_PUBLIC_KEY ? createDiscordPublicKey(DISCORD_PUBLIC_KEY) : null;
+const handleInteraction = createInteractionHandler({ playSpin, leaderboardWindow });
+
+app.post('/discord/interactions', (req, res) => {
+  if (!discordPublicKey) {
+    res.status(503).json({ error: 'Discord interactions not configured' });
+    return;
+  }
+  const verified = verifyDiscordRequest(discordPublicKey, {
+    signature: req.get('X-Signature-Ed25519'),
+    timestamp: req.get('X-Signature-Timestamp'),
+    rawBody: req.rawBody,
+  });
+  if (!verified) {
+    res.status(401).json({ error: 'Invalid request signature' });
+    return;
+  }
+  const response = handleInteraction(req.body);
+  if (!response) {
+    res.status(400).json({ error: 'Unsupported interaction type' });
+    return;
+  }
+  res.json(response);
+});
+
+// Exact EV preview for a ticket. Uses `activityScore` if given, otherwise the
+// connected wallet's score (or 0 when no wallet is connected).
+app.post('/api/ticket/quote', rateLimit(30, 10000), (req, res) => {
   const ticket = req.body?.ticket;
-  const amount = Number(req.body?.amount);
-  const currency = Number(req.body?.currency ?? 3);
+  const amount = Number(req.body?.amount ?? 1);
+  const currency = parseCurrency(req.body?.currency);
 
   if (!isValidTicket(ticket)) {
     res.status(400).json({ error: 'Invalid ticket' });
     return;
   }
-  if (!Number.isFinite(amount) || amount < MIN_BET_WWXRP || !Number.isInteger(amount)) {
-    res.status(400).json({ error: `Minimum bet is ${MIN_BET_WWXRP} (whole numbers only)` });
+  if (currency === null) {
+    res.status(400).json({ error: 'Unsupported currency' });
     return;
   }
-  if (currency !== 3) {
-    res.status(400).json({ error: 'Unsupported currency' });
+  if (!isValidBetAmount(amount, BET_LIMITS[currency])) {
+    res.status(400).json({ error: `Minimum ${CURRENCY_NAMES[currency]} bet is ${BET_LIMITS[currency].minBet}` });
     return;
   }
 
-  const result = atomicSpin(req.session.walletAddress, (player) =>
-    spinFullTicket({ player, ticket, amount, currency })
-  );
+  let activityScore = 0;
+  if (req.body?.activityScore !== undefined) {
+    activityScore = Number(req.body.activityScore);
+    if (!Number.isInteger(activityScore) || activityScore < 0) {
+      res.status(400).json({ error: 'Invalid activity score' });
+      return;
+    }
+  } else if (req.session.walletAddress) {
+    activityScore = getPlayerByAddress(getAccountAddress(req.session.walletAddress) ?? req.session.walletAddress)?.activity_score_bps ?? 0;
+  }
+
+  res.json({ quote: quoteTicket({ ticket, amount, currency, activityScore, prizeTable }) });
+});
+
+// --- Provably fair seeds ---
+
+app.get('/api/fairness/seed', walletRequired, (req, res) => {
+  const seed = getPlayerSeed(req.accountAddress);
+  if (!seed) {
+    res.status(404).json({ error: 'Player not found' });
+    return;
+  }
+  res.json({ seed });
+});
+
+app.get('/api/fairness/seeds', walletRequired, (req, res) => {
+  res.json({ seeds: getPlayerSeedHistory(req.accountAddress) });
+});
 
+function parseClientSeed(req, res) {
+  const clientSeed = req.body?.clientSeed?.toString().trim();
+  if (!clientSeed || !/^[A-Za-z0-9_-]{1,64}$/.test(clientSeed)) {
+    res.status(400).json({ error: 'Client seed must be 1-64 letters, numbers, _ or -' });
+    return null;
+  }
+  return clientSeed;
+}
+
+app.post('/api/fairness/client-seed', walletRequired, rateLimit(5, 10000), (req, res) => {
+  const clientSeed = parseClientSeed(req, res);
+  if (!clientSeed) return;
+  const result = setPlayerClientSeed(req.accountAddress, clientSeed);
   if (result.error) {
-    res.status(400).json({ error: result.error });
+    res.status(409).json({ error: result.error });
     return;
   }
+  res.json({ current: result.current });
+});
+
+app.post('/api/fairness/rotate', walletRequired, rateLimit(5, 10000), (req, res) => {
+  const clientSeed = parseClientSeed(req, res);
+  if (!clientSeed) return;
+  const result = rotatePlayerSeed(req.accountAddress, clientSeed);
+  if (result.error) {
+    res.status(404).json({ error: result.error });
+    return;
+  }
+  res.json({ previous: result.previous, current: result.current });
+});
+
+app.get('/api/fairness/verify/:spinId', (req, res) => {
+  const spinId = Number(req.params.spinId);
+  if (!Number.isInteger(spinId) || spinId < 1) {
+    res.status(400).json({ error: 'Invalid spin id' });
+    return;
+  }
+  const fairness = getSpinFairness(spinId);
+  if (!fairness) {
+    res.status(404).json({ error: 'Spin not found' });
+    return;
+  }
+  if (!fairness.serverSeedHash) {
+    res.status(404).json({ error: 'Spin predates provably fair seeds' });
+    return;
+  }
+  if (!fairness.serverSeed) {
+    res.status(409).json({
+      error: 'Server seed not revealed yet, rotate your seed first',
+      serverSeedHash: fairness.serverSeedHash,
+    });
+    return;
+  }
+
+  const computedTicket = ticketFromSeed(fairness.serverSeed, fairness.clientSeed, fairness.nonce);
+  const hashMatches = hashServerSeed(fairness.serverSeed) === fairness.serverSeedHash;
+  const ticketMatches = computedTicket.traits.every((trait, q) =>
+    trait.color === fairness.houseTicket.traits?.[q]?.color
+    && trait.symbol === fairness.houseTicket.traits?.[q]?.symbol
+  );
+  // Near-miss lootboxes are redrawn from the entries and stake stored with the spin.
+  const { lootbox } = fairness;
+  const computedLootbox = lootbox
+    ? drawLootbox(lootbox.entries, lootbox.stake, { serverSeed: fairness.serverSeed, clientSeed: fairness.clientSeed }, fairness.nonce)
+    : null;
+  const lootboxMatches = !lootbox || (
+    computedLootbox.label === lootbox.label
+    && computedLootbox.multiplierBps === lootbox.multiplierBps
+    && computedLootbox.amount === lootbox.amount
+  );
 
   res.json({
-    player: sanitizePlayer(result.player),
-    result: result.spin,
+    spinId,
+    serverSeed: fairness.serverSeed,
+    serverSeedHash: fairness.serverSeedHash,
+    clientSeed: fairness.clientSeed,
+    nonce: fairness.nonce,
+    houseTicket: fairness.houseTicket,
+    computedTicket,
+    lootbox,
+    computedLootbox,
+    verified: hashMatches && ticketMatches && lootboxMatches,
   });
 });
 
 app.post('/api/referral/create', walletRequired, discordRequired, (req, res) => {
-  const player = getPlayerByAddress(req.session.walletAddress);
+  const player = getPlayerByAddress(req.accountAddress);
   if (!player) {
     res.status(404).json({ error: 'Player not found' });
     return;
@@ -492,7 +1225,7 @@ app.post('/api/referral/create', walletRequired, discordRequired, (req, res) =>
 app.post('/api/affiliate/config', walletRequired, discordRequired, (req, res) => {
   const code = req.body?.code;
   const rakebackBps = req.body?.rakebackBps;
-  const result = setAffiliateConfig(req.session.walletAddress, { code, rakebackBps });
+  const result = setAffiliateConfig(req.accountAddress, { code, rakebackBps });
   if (!result.ok) {
     res.status(400).json({ error: result.error });
     return;
@@ -500,71 +1233,264 @@ app.post('/api/affiliate/config', walletRequired, discordRequired, (req, res) =>
   res.json({ player: sanitizePlayer(result.player) });
 });
 
+function affiliateDashboard(handler) {
+  return (req, res) => {
+    const range = parseTimeRange(req.query);
+    if (!range) {
+      res.status(400).json({ error: 'Invalid time range' });
+      return;
+    }
+    const currency = parseCurrency(req.query.currency);
+    if (currency === null) {
+      res.status(400).json({ error: 'Unsupported currency' });
+      return;
+    }
+    const affiliate = getPlayerByAddress(req.accountAddress);
+    if (!affiliate) {
+      res.status(404).json({ error: 'Player not found' });
+      return;
+    }
+    res.json({ code: affiliate.referral_code, range, currency, ...handler(affiliate, range, currency) });
+  };
+}
+
+app.get('/api/affiliate/referrals', walletRequired, affiliateDashboard((affiliate, range, currency) => ({
+  referrals: getAffiliateReferrals(affiliate, range, currency),
+})));
+
+app.get('/api/affiliate/volume', walletRequired, affiliateDashboard((affiliate, range, currency) => ({
+  daily: getAffiliateDailyVolume(affiliate, range, currency),
+})));
+
+app.get('/api/affiliate/earnings', walletRequired, affiliateDashboard((affiliate, range, currency) => (
+  getAffiliateEarnings(affiliate, range, currency)
+)));
+
 // --- Agent pre-launch registration (no session required, signature is auth) ---
 
-app.post('/api/agent/register', rateLimit(5, 60000), (req, res) => {
-  const { address, code, rakebackPct, pledgeEth, message, signature, referrer, timestamp } = req.body || {};
+// Domain and types for clients building the eth_signTypedData_v4 payload.
+app.get('/api/agent/typed-data', (_req, res) => {
+  res.json({
+    domain: agentDomain,
+    types: AGENT_REGISTRATION_TYPES,
+    primaryType: 'AgentRegistration',
+    withdrawal: { types: AGENT_WITHDRAWAL_TYPES, primaryType: 'AgentWithdrawal' },
+    maxAgeSeconds: agentSignatureMaxAgeSeconds,
+  });
+});
+
+app.get('/api/agent/pledge', (_req, res) => {
+  res.json({ enabled: pledges.enabled, address: pledges.recipient, minConfirmations: pledges.minConfirmations });
+});
+
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// Verifies a pledge transaction from `address`; sends the error response and
+// returns null when it does not check out.
+async function verifyPledgeOrReject(res, address, txHash) {
+  if (!TX_HASH_PATTERN.test(txHash)) {
+    res.status(400).json({ error: 'Invalid pledge transaction hash.' });
+    return null;
+  }
+  const result = await pledges.verifyPledge(txHash, address);
+  if (result.error) {
+    res.status(result.pending ? 409 : 400).json({ error: result.error });
+    return null;
+  }
+  return { txHash: txHash.toLowerCase(), amountEth: result.amountEth, blockNumber: result.blockNumber };
+}
+
+const AGENT_ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+// Timestamp and chain checks shared by every signed agent request. Returns an
+// error message, or null.
+function checkAgentSignedAt(timestamp, chainId) {
+  const signedAt = Number(timestamp);
+  if (!Number.isInteger(signedAt)) return 'Timestamp must be unix seconds.';
+  const now = Math.floor(Date.now() / 1000);
+  if (signedAt > now + 60) return 'Timestamp is in the future.';
+  if (now - signedAt > agentSignatureMaxAgeSeconds) return 'Signature expired, sign again.';
+  if (Number(chainId) !== agentChainId) return 'Chain ID must be ' + agentChainId + '.';
+  return null;
+}
+
+// Validates a register/update body and verifies its AgentRegistration signature.
+// Sends the error response and returns null on failure.
+async function verifyAgentRegistration(req, res) {
+  const { address, code, rakebackPct, pledgeEth, signature, referrer, timestamp, chainId } = req.body || {};
 
   // Validate fields
-  if (!address || typeof address !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
-    return res.status(400).json({ error: 'Invalid address.' });
+  if (!address || typeof address !== 'string' || !AGENT_ADDRESS_PATTERN.test(address)) {
+    res.status(400).json({ error: 'Invalid address.' });
+    return null;
   }
   const normalizedCode = (code || '').toString().trim().toUpperCase();
   if (!/^[A-Z0-9]{3,12}$/.test(normalizedCode)) {
-    return res.status(400).json({ error: 'Code must be 3-12 alphanumeric characters.' });
+    res.status(400).json({ error: 'Code must be 3-12 alphanumeric characters.' });
+    return null;
   }
   const rbPct = Number(rakebackPct) || 0;
   if (!Number.isInteger(rbPct) || rbPct < 0 || rbPct > 25) {
-    return res.status(400).json({ error: 'Rakeback must be 0-25.' });
+    res.status(400).json({ error: 'Rakeback must be 0-25.' });
+    return null;
   }
   const pledge = Number(pledgeEth) || 0;
   if (pledge < 0) {
-    return res.status(400).json({ error: 'Pledge cannot be negative.' });
+    res.status(400).json({ error: 'Pledge cannot be negative.' });
+    return null;
   }
-  if (!message || !signature || !timestamp) {
-    return res.status(400).json({ error: 'Missing required fields.' });
+  if (!signature || !timestamp) {
+    res.status(400).json({ error: 'Missing required fields.' });
+    return null;
+  }
+  const invalid = checkAgentSignedAt(timestamp, chainId);
+  if (invalid) {
+    res.status(400).json({ error: invalid });
+    return null;
   }
 
   const lowerAddr = address.toLowerCase();
+  const normalizedReferrer = referrer?.toString().trim().toUpperCase() || '';
 
-  // Verify signature
-  let recovered;
+  // The server rebuilds the typed data from the fields; a signature over
+  // anything else (a different code, rakeback or pledge) will not verify.
+  let typedData;
   try {
-    recovered = verifyMessage(message, signature);
+    typedData = buildAgentRegistration({
+      domain: agentDomain,
+      address: lowerAddr,
+      code: normalizedCode,
+      rakebackPct: rbPct,
+      pledgeEth: pledge,
+      referrer: normalizedReferrer,
+      timestamp: Number(timestamp),
+      chainId: agentChainId,
+    });
   } catch {
-    return res.status(401).json({ error: 'Invalid signature.' });
-  }
-  if (recovered.toLowerCase() !== lowerAddr) {
-    return res.status(401).json({ error: 'Signature does not match address.' });
+    res.status(400).json({ error: 'Pledge must be a decimal ETH amount.' });
+    return null;
   }
+  const digest = hashAgentTypedData(typedData);
 
-  // Verify message contains committed data
-  if (!message.includes('"' + normalizedCode + '"')) {
-    return res.status(400).json({ error: 'Code mismatch in signed message.' });
-  }
-  if (!message.includes(rbPct + '% rakeback')) {
-    return res.status(400).json({ error: 'Rakeback mismatch in signed message.' });
-  }
-  if (!message.toLowerCase().includes(lowerAddr)) {
-    return res.status(400).json({ error: 'Address mismatch in signed message.' });
+  // Verify signature (EOA or smart-contract wallet)
+  if (!await signatures.verifyDigest(lowerAddr, digest, signature.toString())) {
+    res.status(401).json({ error: 'Signature does not match address.' });
+    return null;
   }
 
-  const result = registerAgent({
+  return {
     address: lowerAddr,
     code: normalizedCode,
     rakebackPct: rbPct,
     pledgeEth: pledge,
-    message,
-    signature,
-    referrer: referrer?.toString().trim() || null,
-    timestamp,
+    message: digest,
+    typedData,
+    signature: signature.toString(),
+    referrer: normalizedReferrer || null,
+    timestamp: String(Number(timestamp)),
+  };
+}
+
+app.post('/api/agent/register', rateLimit(5, 60000), asyncRoute(async (req, res) => {
+  const registration = await verifyAgentRegistration(req, res);
+  if (!registration) return;
+
+  // An optional pledge transaction counts toward bump priority right away.
+  let pledgeTx = null;
+  if (req.body.txHash) {
+    pledgeTx = await verifyPledgeOrReject(res, registration.address, req.body.txHash.toString());
+    if (!pledgeTx) return;
+  }
+
+  const result = registerAgent({ ...registration, pledge: pledgeTx });
+
+  if (result.error) {
+    return res.status(409).json({ error: result.error });
+  }
+
+  res.json({
+    ok: true,
+    code: result.code,
+    status: result.status,
+    bumped: result.bumped,
+    verifiedPledgeEth: result.verifiedPledgeEth,
   });
+}));
+
+// Signed the same way as registering, with a later timestamp than the stored
+// registration; an older signature (or the same one twice) is rejected.
+app.post('/api/agent/update', rateLimit(5, 60000), asyncRoute(async (req, res) => {
+  const registration = await verifyAgentRegistration(req, res);
+  if (!registration) return;
+
+  const result = updateAgentRegistration(registration);
+  if (result.error) {
+    return res.status(409).json({ error: result.error });
+  }
+  res.json(result);
+}));
+
+app.post('/api/agent/withdraw', rateLimit(5, 60000), asyncRoute(async (req, res) => {
+  const { address, code, signature, timestamp, chainId } = req.body || {};
+  if (!address || typeof address !== 'string' || !AGENT_ADDRESS_PATTERN.test(address)) {
+    return res.status(400).json({ error: 'Invalid address.' });
+  }
+  if (!code || !signature || !timestamp) {
+    return res.status(400).json({ error: 'Missing required fields.' });
+  }
+  const invalid = checkAgentSignedAt(timestamp, chainId);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const lowerAddr = address.toLowerCase();
+  const normalizedCode = code.toString().trim().toUpperCase();
+  const digest = hashAgentTypedData(buildAgentWithdrawal({
+    domain: agentDomain,
+    address: lowerAddr,
+    code: normalizedCode,
+    timestamp: Number(timestamp),
+    chainId: agentChainId,
+  }));
+  if (!await signatures.verifyDigest(lowerAddr, digest, signature.toString())) {
+    return res.status(401).json({ error: 'Signature does not match address.' });
+  }
 
+  const result = withdrawAgentRegistration({ address: lowerAddr, code: normalizedCode, timestamp: String(Number(timestamp)), digest });
   if (result.error) {
     return res.status(409).json({ error: result.error });
   }
+  res.json(result);
+}));
+
+// Adds a pledge to an existing registration. No signature needed: the
+// transaction itself must come from the registered wallet.
+app.post('/api/agent/pledge', rateLimit(5, 60000), asyncRoute(async (req, res) => {
+  const { address, txHash } = req.body || {};
+  if (!address || typeof address !== 'string' || !AGENT_ADDRESS_PATTERN.test(address)) {
+    return res.status(400).json({ error: 'Invalid address.' });
+  }
+  const lowerAddr = address.toLowerCase();
+  const pledgeTx = await verifyPledgeOrReject(res, lowerAddr, (txHash || '').toString());
+  if (!pledgeTx) return;
+
+  const result = recordAgentPledge({ address: lowerAddr, ...pledgeTx });
+  if (result.error) {
+    return res.status(409).json({ error: result.error });
+  }
+  res.json({ ok: true, status: result.status, bumped: result.bumped, verifiedPledgeEth: result.verifiedPledgeEth });
+}));
 
-  res.json({ ok: true, code: result.code, bumped: result.bumped });
+app.get('/api/agent/status/:address', (req, res) => {
+  const address = req.params.address;
+  if (!AGENT_ADDRESS_PATTERN.test(address)) {
+    return res.status(400).json({ error: 'Invalid address.' });
+  }
+  const status = getAgentStatus(address.toLowerCase());
+  if (!status) {
+    return res.status(404).json({ error: 'No registration for this wallet.' });
+  }
+  res.json(status);
 });
 
 app.get('/api/agent/registrations', (_req, res) => {
@@ -573,12 +1499,186 @@ app.get('/api/agent/registrations', (_req, res) => {
     code: r.code,
     rakebackPct: r.rakeback_pct,
     pledgeEth: r.pledge_eth,
+    verifiedPledgeEth: r.verified_pledge_eth,
+    status: r.status,
     referrer: r.referrer,
     createdAt: r.created_at,
   }));
   res.json({ count: registrations.length, registrations });
 });
 
+app.get('/api/agent/referral-tree', (_req, res) => {
+  res.json({ roots: getAgentReferralTree() });
+});
+
+// --- Admin API ---
+// Signed-in wallets listed in ADMIN_ADDRESSES, gated per route by role. Every
+// change takes a `reason` and is recorded in the append-only admin_actions log.
+
+// The :address param of a player route, lowercased, or null once a 400/404 is sent.
+function parseAdminTarget(req, res) {
+  const address = req.params.address;
+  if (!isAddress(address)) {
+    res.status(400).json({ error: 'Invalid address' });
+    return null;
+  }
+  if (!getPlayerByAddress(address.toLowerCase())) {
+    res.status(404).json({ error: 'Player not found' });
+    return null;
+  }
+  return address.toLowerCase();
+}
+
+// Wraps a player change: validates the target and reason, then answers with the
+// result of `apply`, or its error with `status` (default 409).
+function adminPlayerChange(apply) {
+  return (req, res) => {
+    const address = parseAdminTarget(req, res);
+    if (!address) return;
+    const reason = parseAdminReason(req, res);
+    if (!reason) return;
+    const result = apply(req, address, reason);
+    if (result.error) {
+      res.status(result.status ?? 409).json({ error: result.error });
+      return;
+    }
+    res.json(result);
+  };
+}
+
+app.get('/admin/me', adminRole('viewer'), (req, res) => {
+  res.json({ address: req.admin.address, role: req.admin.role });
+});
+
+app.get('/admin/players', adminRole('viewer'), (req, res) => {
+  const query = req.query.q?.toString().trim();
+  if (!query || query.length < 3) {
+    res.status(400).json({ error: 'q must be at least 3 characters' });
+    return;
+  }
+  const limitParam = Number(req.query.limit ?? 25);
+  const limit = Number.isFinite(limitParam) ? Math.min(Math.max(Math.floor(limitParam), 1), 100) : 25;
+  res.json({ players: searchPlayers(query, limit) });
+});
+
+app.get('/admin/players/:address', adminRole('viewer'), (req, res) => {
+  const address = parseAdminTarget(req, res);
+  if (!address) return;
+  const account = getAccount(address);
+  res.json({
+    account,
+    player: sanitizePlayer(getPlayerByAddress(account.primary_address)),
+    agent: getAgentStatus(address),
+    actions: getAdminActions({ target: account.primary_address, limit: 20 }),
+  });
+});
+
+// `delta` is added to the account's balance in `currency`; negative debits.
+app.post('/admin/players/:address/balance', adminRole('admin'), adminPlayerChange((req, address, reason) => {
+  const currency = parseCurrency(req.body?.currency, null);
+  const delta = Number(req.body?.delta);
+  if (currency === null || !Number.isFinite(delta) || delta === 0) {
+    return { status: 400, error: 'currency and a non-zero delta are required' };
+  }
+  const result = adjustPlayerBalance(req.admin, address, { currency, delta, reason });
+  return result.error ? result : { player: sanitizePlayer(result.player) };
+}));
+
+app.post('/admin/players/:address/ban', adminRole('moderator'), adminPlayerChange((req, address, reason) =>
+  setAccountBan(req.admin, address, { banned: true, reason })
+));
+
+app.post('/admin/players/:address/unban', adminRole('moderator'), adminPlayerChange((req, address, reason) =>
+  setAccountBan(req.admin, address, { banned: false, reason })
+));
+
+app.post('/admin/players/:address/unlock-affiliate', adminRole('moderator'), adminPlayerChange((req, address, reason) => {
+  const result = unlockAffiliate(req.admin, address, { reason });
+  return result.error ? result : { player: sanitizePlayer(result.player) };
+}));
+
+// Like /api/agent/registrations but with wallets and export state, optionally
+// filtered by `status`.
+app.get('/admin/agents', adminRole('viewer'), (req, res) => {
+  const status = req.query.status?.toString();
+  if (status && !['active', 'waitlisted', 'bumped'].includes(status)) {
+    res.status(400).json({ error: "status must be 'active', 'waitlisted' or 'bumped'" });
+    return;
+  }
+  const registrations = getAgentRegistrations()
+    .filter((r) => !status || r.status === status)
+    .map((r) => ({
+      address: r.address,
+      code: r.code,
+      rakebackPct: r.rakeback_pct,
+      pledgeEth: r.pledge_eth,
+      verifiedPledgeEth: r.verified_pledge_eth,
+      status: r.status,
+      referrer: r.referrer,
+      exported: Boolean(r.exported),
+      createdAt: r.created_at,
+    }));
+  res.json({ count: registrations.length, registrations });
+});
+
+app.post('/admin/agents/:address/remove', adminRole('moderator'), (req, res) => {
+  const address = req.params.address;
+  if (!AGENT_ADDRESS_PATTERN.test(address)) {
+    res.status(400).json({ error: 'Invalid address.' });
+    return;
+  }
+  if (!getAgentStatus(address.toLowerCase())) {
+    res.status(404).json({ error: 'No registration for this wallet.' });
+    return;
+  }
+  const reason = parseAdminReason(req, res);
+  if (!reason) return;
+  const result = removeAgentRegistration(req.admin, address.toLowerCase(), { reason });
+  if (result.error) {
+    res.status(409).json({ error: result.error });
+    return;
+  }
+  res.json(result);
+});
+
+app.get('/admin/actions', adminRole('viewer'), (req, res) => {
+  const target = req.query.target?.toString().toLowerCase() || null;
+  const before = req.query.before !== undefined ? Number(req.query.before) : null;
+  if (before !== null && !Number.isInteger(before)) {
+    res.status(400).json({ error: 'before must be an action id' });
+    return;
+  }
+  const limitParam = Number(req.query.limit ?? 100);
+  const limit = Number.isFinite(limitParam) ? Math.min(Math.max(Math.floor(limitParam), 1), 500) : 100;
+  res.json({ actions: getAdminActions({ target, before, limit }) });
+});
+
+// Start and end seasons on schedule. Ending a season archives its standings;
+// starting one resets balances and activity scores.
+const SEASON_CHECK_MS = 60 * 1000;
+runSeasonTransitions();
+setInterval(() => {
+  try {
+    runSeasonTransitions();
+  } catch (err) {
+    console.error('Season transition failed:', err);
+  }
+}, SEASON_CHECK_MS).unref();
+
+if (syncRoles) {
+  const runRoleSync = () => syncRoles().catch((err) => console.error('Discord role sync failed:', err));
+  runRoleSync();
+  setInterval(runRoleSync, Number(DISCORD_ROLE_SYNC_MINUTES) * 60 * 1000).unref();
+}
+
+// Last stop for errors from middleware and asyncRoute handlers. Client errors
+// (e.g. malformed JSON) keep their message; anything else is logged.
+app.use((err, _req, res, _next) => {
+  if (!err.expose) console.error('Request failed:', err);
+  if (res.headersSent) return;
+  res.status(err.status ?? 500).json({ error: err.expose ? err.message : 'Internal server error' });
+});
+
 app.listen(PORT, () => {
   console.log(`Discord auth server listening on ${PORT}`);
 });
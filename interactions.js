@@ -0,0 +1,170 @@
+import crypto from 'node:crypto';
+import {
+  CURRENCY_NAMES,
+  CURRENCY_WWXRP,
+  formatMultiplier,
+  generateRandomTicket,
+} from './game.js';
+import {
+  getPlayerByDiscordId,
+  getPlayerStats,
+  getPlayerSpins,
+  getLeaderboard,
+  getSpinLeaderboard,
+} from './storage.js';
+import { formatAmount, formatTicket } from './discord.js';
+
+const INTERACTION_PING = 1;
+const INTERACTION_COMMAND = 2;
+const RESPONSE_PONG = 1;
+const RESPONSE_MESSAGE = 4;
+const EPHEMERAL = 64;
+
+// Discord sends the raw 32-byte Ed25519 key; node:crypto wants it wrapped in SPKI DER.
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const MAX_TIMESTAMP_SKEW_SECONDS = 5 * 60;
+
+export function createDiscordPublicKey(hex) {
+  return crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(hex, 'hex')]),
+    format: 'der',
+    type: 'spki',
+  });
+}
+
+// Checks X-Signature-Ed25519 over timestamp + raw body, rejecting stale timestamps.
+export function verifyDiscordRequest(publicKey, { signature, timestamp, rawBody }) {
+  if (!signature || !timestamp || !rawBody) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_TIMESTAMP_SKEW_SECONDS) return false;
+  try {
+    return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), rawBody]), publicKey, Buffer.from(signature, 'hex'));
+  } catch {
+    return false;
+  }
+}
+
+function reply(content, { embeds, ephemeral = true } = {}) {
+  return {
+    type: RESPONSE_MESSAGE,
+    data: { content: content ?? undefined, embeds, flags: ephemeral ? EPHEMERAL : 0, allowed_mentions: { parse: [] } },
+  };
+}
+
+function parseTicketOption(value) {
+  if (!value) return generateRandomTicket();
+  const quadrants = value.split(',').map((pair) => pair.trim().split('-').map(Number));
+  const valid = quadrants.length === 4 && quadrants.every((pair) =>
+    pair.length === 2 && pair.every((bucket) => Number.isInteger(bucket) && bucket >= 0 && bucket < 8)
+  );
+  if (!valid) return null;
+  return { traits: quadrants.map(([color, symbol], quadrant) => ({ quadrant, color, symbol })) };
+}
+
+const SPIN_COOLDOWN_MS = 2000;
+
+// Returns handle(interaction) -> response body. `playSpin` and `leaderboardWindow`
+// come from index.js so Discord spins and rankings behave exactly like the API's.
+export function createInteractionHandler({ playSpin, leaderboardWindow }) {
+  const lastSpinAt = new Map();
+
+  const commands = {
+    balance(player) {
+      const fields = CURRENCY_NAMES.map((name, currency) => ({
+        name,
+        value: formatAmount(player.balances[name] ?? 0, currency),
+        inline: true,
+      }));
+      return reply(null, { embeds: [{ title: 'Balances', fields }] });
+    },
+
+    stats(player, options) {
+      const currency = options.currency ?? CURRENCY_WWXRP;
+      const stats = getPlayerStats(player.id, currency);
+      if (!stats.spins) return reply(`No ${CURRENCY_NAMES[currency]} spins yet.`);
+      const fields = [
+        { name: 'Spins', value: String(stats.spins), inline: true },
+        { name: 'Wagered', value: formatAmount(stats.totalWagered, currency), inline: true },
+        { name: 'Net', value: formatAmount(stats.net, currency), inline: true },
+        { name: 'RTP', value: `${(stats.rtp * 100).toFixed(2)}%`, inline: true },
+        { name: 'Avg matches', value: stats.averageMatches.toFixed(2), inline: true },
+        { name: 'Streak', value: `${stats.streaks.current.length} ${stats.streaks.current.type}`, inline: true },
+      ];
+      if (stats.biggestWin) {
+        fields.push({
+          name: 'Biggest win',
+          value: `${formatAmount(stats.biggestWin.payout, currency)} (${formatMultiplier(stats.biggestWin.multiplier)})`,
+        });
+      }
+      return reply(null, { embeds: [{ title: `${CURRENCY_NAMES[currency]} stats`, fields }] });
+    },
+
+    leaderboard(_player, options) {
+      const metric = options.metric ?? 'balance';
+      const window = options.window ?? 'all';
+      if (metric === 'balance' && window !== 'all') return reply('Balance is only ranked all-time.');
+      const range = leaderboardWindow(window);
+      const rows = metric === 'balance'
+        ? getLeaderboard(10).map((row) => ({ ...row, value: formatAmount(row.balance_wwxrp, CURRENCY_WWXRP) }))
+        : getSpinLeaderboard({ metric, ...range, limit: 10 }).map((row) => ({
+          ...row,
+          value: metric === 'multiplier' ? formatMultiplier(row.value)
+            : metric === 'activity' ? `${row.value} bps` : formatAmount(row.value, CURRENCY_WWXRP),
+        }));
+      if (!rows.length) return reply('Nobody on the leaderboard yet.');
+      const lines = rows.map((row, idx) => `**${idx + 1}.** ${row.display_name} — ${row.value}`);
+      return reply(null, { embeds: [{ title: `Leaderboard: ${metric} (${window})`, description: lines.join('\n') }] });
+    },
+
+    history(player, options) {
+      const { spins } = getPlayerSpins(player.id, { limit: options.limit ?? 5 });
+      if (!spins.length) return reply('No spins yet.');
+      const lines = spins.map((spin) =>
+        `#${spin.id} ${formatAmount(spin.bet_amount, spin.currency)} → ${formatAmount(spin.payout, spin.currency)} (${spin.matches} matches)`
+      );
+      return reply(null, { embeds: [{ title: 'Recent spins', description: lines.join('\n') }] });
+    },
+
+    spin(player, options, user) {
+      const ticket = parseTicketOption(options.ticket);
+      if (!ticket) return reply('Ticket must look like 0-7,1-6,2-5,3-4 (color-symbol per quadrant, 0-7).');
+      const now = Date.now();
+      if (now - (lastSpinAt.get(user.id) ?? 0) < SPIN_COOLDOWN_MS) return reply('Slow down a little.');
+      lastSpinAt.set(user.id, now);
+
+      const currency = options.currency ?? CURRENCY_WWXRP;
+      const result = playSpin(player.eth_address, { tickets: [ticket], amount: Number(options.amount), currency });
+      if (result.error) return reply(result.error);
+
+      const ticketResult = result.spin.results[0];
+      const balance = result.player.balances[CURRENCY_NAMES[currency]];
+      return reply(null, {
+        ephemeral: false,
+        embeds: [{
+          title: `${ticketResult.matches} matches — ${formatAmount(ticketResult.totalPayout, currency)}`,
+          author: { name: player.discord_name || user.username, icon_url: player.discord_avatar || undefined },
+          fields: [
+            { name: 'Ticket', value: `\`${formatTicket(ticketResult.playerTicket)}\``, inline: true },
+            { name: 'Result', value: `\`${formatTicket(ticketResult.resultTicket)}\``, inline: true },
+            { name: 'Balance', value: formatAmount(balance, currency), inline: true },
+            { name: 'Math', value: `\`\`\`\n${ticketResult.math}\n\`\`\`` },
+          ],
+        }],
+      });
+    },
+  };
+
+  return function handle(interaction) {
+    if (interaction.type === INTERACTION_PING) return { type: RESPONSE_PONG };
+    if (interaction.type !== INTERACTION_COMMAND) return null;
+
+    const command = commands[interaction.data?.name];
+    if (!command) return reply('Unknown command.');
+    const user = interaction.member?.user ?? interaction.user;
+    const options = Object.fromEntries((interaction.data.options ?? []).map((option) => [option.name, option.value]));
+
+    if (interaction.data.name === 'leaderboard') return command(null, options, user);
+    const player = user ? getPlayerByDiscordId(user.id) : null;
+    if (!player) return reply('No wallet is linked to your Discord account. Connect Discord on the site first.');
+    return command(player, options, user);
+  };
+}
@@ -0,0 +1,48 @@
+import { JsonRpcProvider, formatEther, getAddress } from 'ethers';
+
+// Checks agent pledge transactions: a successful plain ETH transfer from the
+// agent to `recipient` with at least `minConfirmations` blocks on top. Transfers
+// made as internal calls (e.g. from a Safe) carry no top-level value and are not
+// recognized.
+export function createPledgeVerifier({ rpcUrl, provider, recipient, minConfirmations = 3 } = {}) {
+  const rpc = provider ?? (rpcUrl ? new JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true }) : null);
+  const pledgeAddress = recipient ? getAddress(recipient) : null;
+
+  // Resolves to { ok, from, amountEth, blockNumber } or { error, pending? }.
+  async function verifyPledge(txHash, sender) {
+    if (!rpc || !pledgeAddress) return { error: 'Pledges are not enabled.' };
+    let tx;
+    let receipt;
+    let head;
+    try {
+      [tx, receipt, head] = await Promise.all([
+        rpc.getTransaction(txHash),
+        rpc.getTransactionReceipt(txHash),
+        rpc.getBlockNumber(),
+      ]);
+    } catch (err) {
+      console.error('Pledge lookup failed:', err.message);
+      return { error: 'Could not look up the pledge transaction, try again.' };
+    }
+
+    if (!tx) return { error: 'Pledge transaction not found.' };
+    if (!receipt) return { error: 'Pledge transaction is not mined yet.', pending: true };
+    if (receipt.status !== 1) return { error: 'Pledge transaction reverted.' };
+    if (!tx.to || getAddress(tx.to) !== pledgeAddress) return { error: 'Pledge was not sent to the pledge address.' };
+    if (getAddress(tx.from) !== getAddress(sender)) return { error: 'Pledge was not sent from the registering wallet.' };
+    if (tx.value <= 0n) return { error: 'Pledge transaction has no ETH value.' };
+
+    const confirmations = head - receipt.blockNumber + 1;
+    if (confirmations < minConfirmations) {
+      return { error: `Pledge has ${confirmations}/${minConfirmations} confirmations, try again shortly.`, pending: true };
+    }
+    return {
+      ok: true,
+      from: tx.from.toLowerCase(),
+      amountEth: Number(formatEther(tx.value)),
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  return { enabled: Boolean(rpc && pledgeAddress), recipient: pledgeAddress, minConfirmations, verifyPledge };
+}
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Register the slash commands in discord-commands.js with Discord.
+ *
+ * Usage:
+ *   node register-discord-commands.js            # guild commands (DISCORD_GUILD_ID), update instantly
+ *   node register-discord-commands.js --global   # global commands, may take up to an hour
+ *
+ * Needs DISCORD_CLIENT_ID and DISCORD_BOT_TOKEN. Existing commands are replaced.
+ */
+
+import dotenv from 'dotenv';
+import { DISCORD_COMMANDS } from './discord-commands.js';
+
+dotenv.config();
+
+const { DISCORD_CLIENT_ID, DISCORD_BOT_TOKEN, DISCORD_GUILD_ID, DISCORD_API_BASE = 'https://discord.com/api/v10' } = process.env;
+const isGlobal = process.argv.includes('--global');
+
+if (!DISCORD_CLIENT_ID || !DISCORD_BOT_TOKEN || (!isGlobal && !DISCORD_GUILD_ID)) {
+  console.error('DISCORD_CLIENT_ID, DISCORD_BOT_TOKEN and DISCORD_GUILD_ID (or --global) are required');
+  process.exit(1);
+}
+
+const route = isGlobal
+  ? `/applications/${DISCORD_CLIENT_ID}/commands`
+  : `/applications/${DISCORD_CLIENT_ID}/guilds/${DISCORD_GUILD_ID}/commands`;
+
+const res = await fetch(`${DISCORD_API_BASE}${route}`, {
+  method: 'PUT',
+  headers: {
+    Authorization: `Bot ${DISCORD_BOT_TOKEN}`,
+    'Content-Type': 'application/json',
+  },
+  body: JSON.stringify(DISCORD_COMMANDS),
+});
+
+if (!res.ok) {
+  console.error(`Registering commands failed: ${res.status}`, await res.text());
+  process.exit(1);
+}
+
+const registered = await res.json();
+console.log(`Registered ${registered.length} ${isGlobal ? 'global' : 'guild'} commands: ${registered.map((c) => c.name).join(', ')}`);
@@ -0,0 +1,83 @@
+import {
+  AbiCoder,
+  Contract,
+  JsonRpcProvider,
+  dataSlice,
+  getAddress,
+  hashMessage,
+  recoverAddress,
+} from 'ethers';
+
+// EIP-1271 magic value returned by isValidSignature(bytes32,bytes) on success.
+const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+// EIP-6492 wrapped signatures end with this 32-byte suffix.
+const ERC6492_DETECTION_SUFFIX = '0x6492649264926492649264926492649264926492649264926492649264926492';
+
+const EIP1271_ABI = ['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'];
+const UNIVERSAL_VALIDATOR_ABI = [
+  'function isValidSigWithSideEffects(address signer, bytes32 hash, bytes signature) returns (bool)',
+];
+
+function recoversTo(address, digest, signature) {
+  try {
+    return recoverAddress(digest, signature).toLowerCase() === address.toLowerCase();
+  } catch {
+    return false;
+  }
+}
+
+// Verifies signatures from EOAs (ECDSA), deployed smart accounts (EIP-1271) and
+// not-yet-deployed ones (EIP-6492). Without `rpcUrl` (or `provider`) only ECDSA
+// works. Counterfactual accounts also need `universalValidator`, the address of an
+// EIP-6492 UniversalSigValidator, which is eth_call'ed so nothing is deployed.
+export function createSignatureVerifier({ rpcUrl, provider, universalValidator } = {}) {
+  const rpc = provider ?? (rpcUrl ? new JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true }) : null);
+
+  async function isValidErc1271(address, digest, signature) {
+    try {
+      const result = await new Contract(address, EIP1271_ABI, rpc).isValidSignature(digest, signature);
+      return result.toLowerCase() === EIP1271_MAGIC_VALUE;
+    } catch {
+      return false;
+    }
+  }
+
+  async function isValidErc6492(address, digest, wrapped) {
+    const [, , innerSignature] = AbiCoder.defaultAbiCoder().decode(
+      ['address', 'bytes', 'bytes'],
+      dataSlice(wrapped, 0, (wrapped.length - 2) / 2 - 32)
+    );
+    // Already deployed: the wrapper is just deployment data, check the inner signature.
+    if (await rpc.getCode(address) !== '0x') return isValidErc1271(address, digest, innerSignature);
+    if (!universalValidator) return false;
+    try {
+      const validator = new Contract(universalValidator, UNIVERSAL_VALIDATOR_ABI, rpc);
+      return await validator.isValidSigWithSideEffects.staticCall(address, digest, wrapped);
+    } catch {
+      return false;
+    }
+  }
+
+  // True if `signature` by `address` is valid for the 32-byte `digest`.
+  async function verifyDigest(address, digest, signature) {
+    const signer = getAddress(address);
+    if (!/^0x[0-9a-fA-F]*$/.test(signature ?? '') || signature.length % 2) return false;
+    const is6492 = signature.toLowerCase().endsWith(ERC6492_DETECTION_SUFFIX.slice(2));
+    if (!is6492 && recoversTo(signer, digest, signature)) return true;
+    if (!rpc) return false;
+    try {
+      if (is6492) return await isValidErc6492(signer, digest, signature);
+      if (await rpc.getCode(signer) === '0x') return false;
+      return await isValidErc1271(signer, digest, signature);
+    } catch (err) {
+      console.error('Signature verification RPC failed:', err.message);
+      return false;
+    }
+  }
+
+  return {
+    verifyDigest,
+    // EIP-191 personal_sign messages, what verifyMessage from ethers handles for EOAs.
+    verifyMessage: (address, message, signature) => verifyDigest(address, hashMessage(message), signature),
+  };
+}
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+/**
+ * Offline Monte Carlo simulator for tuning the payout constants in game.js.
+ *
+ * Usage:
+ *   node simulate-spins.js                                   # 1M quick-pick WWXRP spins at activity 0
+ *   node simulate-spins.js --rounds 5000000 --activity 0,7500,35500 --currency 0,3
+ *   node simulate-spins.js --strategy quickpick,favorites,longshots --format csv
+ *   node simulate-spins.js --ticket 0-7,1-6,2-5,3-4           # fixed custom ticket (color-symbol per quadrant)
+ *   node simulate-spins.js --seed deadbeef                    # reproducible run via seeded house tickets
+ *
+ * Options:
+ *   --rounds N          spins per configuration (default 1000000)
+ *   --strategy list     quickpick | favorites | longshots (default quickpick)
+ *   --ticket spec       adds a "custom" strategy playing a fixed ticket
+ *   --activity list     stored activity scores in bps (the spin's +100 credit is applied as on the server)
+ *   --currency list     currency ids, 0=ETH 1=BURNIE 2=DGNRS 3=WWXRP (default 3)
+ *   --bankroll N        starting bankroll in bets for the ruin curve (default 100)
+ *   --session-length N  spins per bankroll session (default 1000)
+ *   --format json|csv   output format (default json)
+ *
+ * Every combination of strategy x activity x currency is simulated with
+ * spinFullTicket, including near-miss prizes and the progressive jackpot. The pool
+ * starts empty and restarts at 0, so it only holds the 1% contributions taken off
+ * each bet; `rtp` counts jackpot wins, and `houseEdge` also treats whatever is left
+ * in the pool (`jackpotPoolEnd`) as owed to players rather than kept by the house.
+ * Output goes to stdout, progress to stderr.
+ */
+
+import { spinFullTicket, generateRandomTicket, CURRENCY_NAMES } from './game.js';
+
+const args = process.argv.slice(2);
+
+function option(name, fallback) {
+  const prefix = `--${name}=`;
+  const inline = args.find((arg) => arg.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+  const idx = args.indexOf(`--${name}`);
+  if (idx !== -1 && args[idx + 1] !== undefined) return args[idx + 1];
+  return fallback;
+}
+
+function listOption(name, fallback) {
+  return option(name, fallback).split(',').map((value) => value.trim()).filter(Boolean);
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+const rounds = Number(option('rounds', '1000000'));
+const bankroll = Number(option('bankroll', '100'));
+const sessionLength = Number(option('session-length', '1000'));
+const format = option('format', 'json');
+const seed = option('seed', null);
+const activities = listOption('activity', '0').map(Number);
+const currencies = listOption('currency', '3').map(Number);
+const strategyNames = listOption('strategy', 'quickpick');
+const ticketSpec = option('ticket', null);
+
+if (!Number.isInteger(rounds) || rounds < 1) fail('--rounds must be a positive integer');
+if (!Number.isFinite(bankroll) || bankroll < 1) fail('--bankroll must be at least 1');
+if (!Number.isInteger(sessionLength) || sessionLength < 1) fail('--session-length must be a positive integer');
+if (rounds < sessionLength) fail('--rounds must be at least --session-length');
+if (format !== 'json' && format !== 'csv') fail('--format must be json or csv');
+if (activities.some((score) => !Number.isInteger(score) || score < 0)) fail('--activity must be non-negative integers');
+if (currencies.some((currency) => !CURRENCY_NAMES[currency])) fail('--currency must be 0-3');
+
+function fixedTicket(color, symbol) {
+  return { traits: [0, 1, 2, 3].map((quadrant) => ({ quadrant, color, symbol })) };
+}
+
+function parseTicketSpec(spec) {
+  const quadrants = spec.split(',').map((pair) => pair.split('-').map(Number));
+  const valid = quadrants.length === 4 && quadrants.every((pair) =>
+    pair.length === 2 && pair.every((bucket) => Number.isInteger(bucket) && bucket >= 0 && bucket < 8)
+  );
+  if (!valid) fail('--ticket must look like 0-7,1-6,2-5,3-4 (color-symbol per quadrant)');
+  return { traits: quadrants.map(([color, symbol], quadrant) => ({ quadrant, color, symbol })) };
+}
+
+const STRATEGIES = {
+  quickpick: () => generateRandomTicket(),
+  favorites: () => fixedTicket(0, 0),
+  longshots: () => fixedTicket(7, 7),
+};
+
+const strategies = strategyNames.map((name) => {
+  if (!STRATEGIES[name]) fail(`Unknown strategy '${name}'`);
+  return { name, nextTicket: STRATEGIES[name] };
+});
+if (ticketSpec) {
+  const ticket = parseTicketSpec(ticketSpec);
+  strategies.push({ name: 'custom', nextTicket: () => ticket });
+}
+
+// Ruin curve checkpoints: 20 evenly spaced points across a session.
+const RUIN_POINTS = 20;
+const checkpoints = Array.from({ length: RUIN_POINTS }, (_, i) =>
+  Math.max(1, Math.round(((i + 1) * sessionLength) / RUIN_POINTS))
+);
+
+function simulate({ strategy, activity, currency }) {
+  const currencyName = CURRENCY_NAMES[currency];
+  const player = { balances: { [currencyName]: Infinity }, activity_score_bps: activity };
+  const matchCounts = new Array(9).fill(0);
+
+  let totalPayout = 0;
+  let jackpots = 0;
+  let jackpotPool = 0;
+  let jackpotPaid = 0;
+  // Welford running variance of the per-spin payout multiple.
+  let mean = 0;
+  let m2 = 0;
+
+  // Only full sessions count; spins left over after the last one are not in the curve.
+  const sessions = Math.floor(rounds / sessionLength);
+  const ruinedBy = new Array(checkpoints.length).fill(0);
+  let sessionBankroll = bankroll;
+  let sessionSpins = 0;
+  let ruinedAt = null;
+
+  const finishSession = () => {
+    checkpoints.forEach((point, i) => {
+      if (ruinedAt !== null && ruinedAt <= point) ruinedBy[i] += 1;
+    });
+    sessionBankroll = bankroll;
+    sessionSpins = 0;
+    ruinedAt = null;
+  };
+
+  for (let round = 0; round < rounds; round += 1) {
+    const spinSeed = seed
+      ? { serverSeed: seed, serverSeedHash: null, clientSeed: `${strategy.name}:${currency}:${activity}`, nonce: round }
+      : null;
+    const { spin } = spinFullTicket({
+      player,
+      tickets: [strategy.nextTicket()],
+      amount: 1,
+      currency,
+      seed: spinSeed,
+      jackpot: { pool: jackpotPool, resetTo: 0 },
+    });
+    const result = spin.results[0];
+    jackpotPool = spin.jackpotPool;
+    jackpotPaid += result.jackpotPrize;
+
+    totalPayout += result.totalPayout;
+    matchCounts[result.matches] += 1;
+    if (result.isJackpot) jackpots += 1;
+
+    const delta = result.totalPayout - mean;
+    mean += delta / (round + 1);
+    m2 += delta * (result.totalPayout - mean);
+
+    sessionSpins += 1;
+    if (ruinedAt === null) {
+      sessionBankroll += result.totalPayout - 1;
+      if (sessionBankroll < 1) ruinedAt = sessionSpins;
+    }
+    if (sessionSpins === sessionLength) finishSession();
+
+    if ((round + 1) % 1_000_000 === 0) {
+      console.error(`  ${strategy.name}/${currencyName}/${activity}: ${round + 1} rounds`);
+    }
+  }
+
+  const variance = rounds > 1 ? m2 / (rounds - 1) : 0;
+  return {
+    strategy: strategy.name,
+    currency,
+    currencyName,
+    activity,
+    rounds,
+    totalBet: rounds,
+    totalPayout,
+    rtp: totalPayout / rounds,
+    houseEdge: 1 - (totalPayout + jackpotPool) / rounds,
+    variance,
+    stddev: Math.sqrt(variance),
+    jackpots,
+    jackpotFrequency: jackpots / rounds,
+    jackpotPaid,
+    jackpotPoolEnd: jackpotPool,
+    matchCounts,
+    ruinCurve: checkpoints.map((spins, i) => ({ spins, ruinProbability: ruinedBy[i] / sessions })),
+  };
+}
+
+const results = [];
+for (const strategy of strategies) {
+  for (const currency of currencies) {
+    for (const activity of activities) {
+      console.error(`Simulating ${rounds} rounds: ${strategy.name}, ${CURRENCY_NAMES[currency]}, activity ${activity}`);
+      results.push(simulate({ strategy, activity, currency }));
+    }
+  }
+}
+
+if (format === 'json') {
+  console.log(JSON.stringify({
+    rounds,
+    bankroll,
+    sessionLength,
+    seeded: Boolean(seed),
+    results,
+  }, null, 2));
+} else {
+  const header = [
+    'strategy', 'currency', 'activity', 'rounds', 'rtp', 'house_edge', 'variance', 'stddev',
+    'jackpots', 'jackpot_frequency', 'jackpot_paid', 'jackpot_pool_end',
+    ...Array.from({ length: 9 }, (_, matches) => `matches_${matches}`),
+    ...checkpoints.map((spins) => `ruin_at_${spins}`),
+  ];
+  console.log(header.join(','));
+  for (const r of results) {
+    console.log([
+      r.strategy, r.currencyName, r.activity, r.rounds, r.rtp, r.houseEdge, r.variance, r.stddev,
+      r.jackpots, r.jackpotFrequency, r.jackpotPaid, r.jackpotPoolEnd,
+      ...r.matchCounts,
+      ...r.ruinCurve.map((point) => point.ruinProbability),
+    ].join(','));
+  }
+}
@@ -0,0 +1,105 @@
+import { getAddress } from 'ethers';
+
+// Sign-In with Ethereum (EIP-4361) messages. Only the fields we use are built,
+// but parsing accepts every optional field in the spec.
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+const OPTIONAL_FIELDS = [
+  ['Expiration Time', 'expirationTime'],
+  ['Not Before', 'notBefore'],
+  ['Request ID', 'requestId'],
+];
+
+export function buildSiweMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) {
+  // The statement line is optional but the blank line after it is not.
+  const lines = [`${domain}${HEADER_SUFFIX}`, address, ''];
+  if (statement) lines.push(statement);
+  lines.push(
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  );
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+  return lines.join('\n');
+}
+
+const isTimestamp = (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value)
+  && !Number.isNaN(Date.parse(value));
+
+// Returns the message fields, or null when it does not follow the EIP-4361 layout.
+export function parseSiweMessage(message) {
+  if (typeof message !== 'string') return null;
+  const lines = message.split('\n');
+  let i = 0;
+  const next = () => lines[i++];
+
+  const header = next();
+  if (!header?.endsWith(HEADER_SUFFIX)) return null;
+  const domain = header.slice(0, -HEADER_SUFFIX.length);
+  if (!domain || /\s/.test(domain)) return null;
+
+  const address = next();
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address ?? '')) return null;
+  if (next() !== '') return null;
+
+  const statement = lines[i] !== '' ? next() : null;
+  if (statement === undefined || next() !== '') return null;
+
+  const field = (label) => {
+    const line = lines[i];
+    if (!line?.startsWith(`${label}: `)) return null;
+    i += 1;
+    return line.slice(label.length + 2);
+  };
+
+  const fields = {
+    domain,
+    address,
+    statement,
+    uri: field('URI'),
+    version: field('Version'),
+    chainId: Number(field('Chain ID')),
+    nonce: field('Nonce'),
+    issuedAt: field('Issued At'),
+  };
+  for (const [label, key] of OPTIONAL_FIELDS) fields[key] = field(label);
+
+  fields.resources = [];
+  if (lines[i] === 'Resources:') {
+    i += 1;
+    while (lines[i]?.startsWith('- ')) fields.resources.push(next().slice(2));
+  }
+  if (i !== lines.length) return null;
+
+  if (!fields.uri || fields.version !== '1') return null;
+  if (!Number.isInteger(fields.chainId) || fields.chainId < 1) return null;
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce ?? '')) return null;
+  if (!isTimestamp(fields.issuedAt ?? '')) return null;
+  for (const key of ['expirationTime', 'notBefore']) {
+    if (fields[key] !== null && !isTimestamp(fields[key])) return null;
+  }
+  return fields;
+}
+
+// Checks a parsed message against what this server expects. Returns an error
+// string, or null when every field is acceptable. `now` is a Date.
+export function validateSiweFields(fields, { domain, uri, chainId, address, nonce, now = new Date() }) {
+  if (fields.domain !== domain) return 'Message domain mismatch';
+  if (fields.uri !== uri) return 'Message URI mismatch';
+  if (fields.chainId !== chainId) return 'Message chain ID mismatch';
+  let checksummed;
+  try {
+    checksummed = getAddress(fields.address);
+  } catch {
+    return 'Message address has an invalid checksum';
+  }
+  if (fields.address !== checksummed) return 'Message address must be checksummed';
+  if (fields.address.toLowerCase() !== address) return 'Message address mismatch';
+  if (fields.nonce !== nonce) return 'Message nonce mismatch';
+  if (Date.parse(fields.issuedAt) > now.getTime() + 60 * 1000) return 'Message issued in the future';
+  if (fields.expirationTime && Date.parse(fields.expirationTime) <= now.getTime()) return 'Message expired';
+  if (fields.notBefore && Date.parse(fields.notBefore) > now.getTime()) return 'Message not yet valid';
+  return null;
+}
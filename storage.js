@@ -1,6 +1,15 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import Database from 'better-sqlite3';
+import {
+  CURRENCY_NAMES,
+  CURRENCY_WWXRP,
+  generateServerSeed,
+  generateClientSeed,
+  hashServerSeed,
+  houseEdge,
+  matchDistribution,
+} from './game.js';
 
 const dbPath = process.env.DATABASE_PATH || path.join(process.cwd(), 'data', 'degenerette.sqlite');
 fs.mkdirSync(path.dirname(dbPath), { recursive: true });
@@ -15,7 +24,7 @@ db.exec(`
     discord_id TEXT,
     discord_name TEXT,
     discord_avatar TEXT,
-    balance_wwxrp REAL NOT NULL DEFAULT 1000,
+    balance_wwxrp REAL NOT NULL DEFAULT 1000, -- legacy, balances live in player_balances
     activity_score_bps INTEGER NOT NULL DEFAULT 0,
     referral_code TEXT UNIQUE,
     referrer_code TEXT,
@@ -42,6 +51,25 @@ db.exec(`
 
   CREATE INDEX IF NOT EXISTS idx_agent_reg_referrer ON agent_registrations(referrer);
 
+  CREATE TABLE IF NOT EXISTS agent_pledges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    address TEXT NOT NULL,
+    tx_hash TEXT UNIQUE NOT NULL,
+    amount_eth REAL NOT NULL,
+    block_number INTEGER NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_agent_pledges_address ON agent_pledges(address);
+
+  -- Every accepted agent signature, so none can be replayed (even after a withdrawal).
+  CREATE TABLE IF NOT EXISTS agent_signature_digests (
+    digest TEXT PRIMARY KEY,
+    address TEXT NOT NULL,
+    action TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
   CREATE TABLE IF NOT EXISTS spins (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     player_id INTEGER NOT NULL,
@@ -54,6 +82,144 @@ db.exec(`
     created_at TEXT NOT NULL DEFAULT (datetime('now')),
     FOREIGN KEY (player_id) REFERENCES players(id)
   );
+
+  CREATE TABLE IF NOT EXISTS player_seeds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    player_id INTEGER NOT NULL,
+    server_seed TEXT NOT NULL,
+    server_seed_hash TEXT NOT NULL,
+    client_seed TEXT NOT NULL,
+    nonce INTEGER NOT NULL DEFAULT 0,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    revealed_at TEXT,
+    FOREIGN KEY (player_id) REFERENCES players(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_player_seeds_player ON player_seeds(player_id, active);
+
+  CREATE TABLE IF NOT EXISTS player_balances (
+    player_id INTEGER NOT NULL,
+    currency INTEGER NOT NULL,
+    balance REAL NOT NULL,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (player_id, currency),
+    FOREIGN KEY (player_id) REFERENCES players(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_spins_player ON spins(player_id, id);
+
+  CREATE TABLE IF NOT EXISTS affiliate_earnings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    spin_id INTEGER NOT NULL,
+    affiliate_player_id INTEGER NOT NULL,
+    referred_player_id INTEGER NOT NULL,
+    referral_code TEXT NOT NULL,
+    wager REAL NOT NULL,
+    house_edge REAL NOT NULL,
+    affiliate_amount REAL NOT NULL,
+    rakeback_amount REAL NOT NULL,
+    rakeback_bps INTEGER NOT NULL,
+    currency INTEGER NOT NULL DEFAULT 3,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (spin_id) REFERENCES spins(id),
+    FOREIGN KEY (affiliate_player_id) REFERENCES players(id),
+    FOREIGN KEY (referred_player_id) REFERENCES players(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS jackpot_pools (
+    currency INTEGER PRIMARY KEY,
+    balance REAL NOT NULL,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  CREATE TABLE IF NOT EXISTS jackpot_wins (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    spin_id INTEGER NOT NULL,
+    player_id INTEGER NOT NULL,
+    currency INTEGER NOT NULL,
+    amount REAL NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (spin_id) REFERENCES spins(id),
+    FOREIGN KEY (player_id) REFERENCES players(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS seasons (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    starts_at TEXT NOT NULL,
+    ends_at TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'scheduled',
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    started_at TEXT,
+    ended_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS season_standings (
+    season_id INTEGER NOT NULL,
+    rank INTEGER NOT NULL,
+    eth_address TEXT NOT NULL,
+    discord_id TEXT,
+    discord_name TEXT,
+    discord_avatar TEXT,
+    balance_wwxrp REAL NOT NULL,
+    net REAL NOT NULL,
+    wagered REAL NOT NULL,
+    spins INTEGER NOT NULL,
+    activity_score_bps INTEGER NOT NULL,
+    PRIMARY KEY (season_id, rank),
+    FOREIGN KEY (season_id) REFERENCES seasons(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    primary_player_id INTEGER NOT NULL,
+    discord_id TEXT UNIQUE,
+    discord_name TEXT,
+    discord_avatar TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (primary_player_id) REFERENCES players(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS discord_role_assignments (
+    discord_id TEXT NOT NULL,
+    role_id TEXT NOT NULL,
+    assigned_at TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (discord_id, role_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS discord_role_changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    discord_id TEXT NOT NULL,
+    role_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    reason TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- Append-only: the triggers below reject updates and deletes.
+  CREATE TABLE IF NOT EXISTS admin_actions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    admin_address TEXT NOT NULL,
+    role TEXT NOT NULL,
+    action TEXT NOT NULL,
+    target TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    details TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  CREATE TRIGGER IF NOT EXISTS admin_actions_no_update BEFORE UPDATE ON admin_actions
+  BEGIN SELECT RAISE(ABORT, 'admin_actions is append-only'); END;
+
+  CREATE TRIGGER IF NOT EXISTS admin_actions_no_delete BEFORE DELETE ON admin_actions
+  BEGIN SELECT RAISE(ABORT, 'admin_actions is append-only'); END;
+
+  CREATE INDEX IF NOT EXISTS idx_admin_actions_target ON admin_actions(target, id);
+  CREATE INDEX IF NOT EXISTS idx_affiliate_earnings_affiliate ON affiliate_earnings(affiliate_player_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_affiliate_earnings_referred ON affiliate_earnings(referred_player_id, created_at);
 `);
 
 function ensurePlayerColumns() {
@@ -64,35 +230,267 @@ function ensurePlayerColumns() {
   if (!columns.includes('referral_locked')) {
     db.exec('ALTER TABLE players ADD COLUMN referral_locked INTEGER NOT NULL DEFAULT 0');
   }
+  if (!columns.includes('nonce_expires_at')) {
+    db.exec('ALTER TABLE players ADD COLUMN nonce_expires_at TEXT');
+  }
+  if (!columns.includes('account_id')) {
+    db.exec('ALTER TABLE players ADD COLUMN account_id INTEGER REFERENCES accounts(id)');
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_players_account ON players(account_id)');
+}
+
+// Typed-data registrations keep the EIP-712 digest in `message` and the full
+// payload in `typed_data`; older rows have the plain-text message only.
+// `pledge_eth` is what the agent signed; `verified_pledge_eth` sums the pledge
+// transactions checked on-chain and is what bump priority uses.
+function ensureAgentRegistrationColumns() {
+  const columns = db.prepare('PRAGMA table_info(agent_registrations)').all().map((col) => col.name);
+  if (!columns.includes('typed_data')) {
+    db.exec('ALTER TABLE agent_registrations ADD COLUMN typed_data TEXT');
+  }
+  if (!columns.includes('verified_pledge_eth')) {
+    db.exec('ALTER TABLE agent_registrations ADD COLUMN verified_pledge_eth REAL NOT NULL DEFAULT 0');
+  }
+  if (!columns.includes('status')) {
+    db.exec("ALTER TABLE agent_registrations ADD COLUMN status TEXT NOT NULL DEFAULT 'active'");
+  }
+  if (!columns.includes('status_changed_at')) {
+    db.exec('ALTER TABLE agent_registrations ADD COLUMN status_changed_at TEXT');
+  }
+}
+
+// Banned accounts can't spin or use wallet routes and are left off leaderboards.
+function ensureAccountColumns() {
+  const columns = db.prepare('PRAGMA table_info(accounts)').all().map((col) => col.name);
+  if (!columns.includes('banned_at')) {
+    db.exec('ALTER TABLE accounts ADD COLUMN banned_at TEXT');
+  }
+  if (!columns.includes('ban_reason')) {
+    db.exec('ALTER TABLE accounts ADD COLUMN ban_reason TEXT');
+  }
+}
+
+// `start_spin_id` is the last spin before the season's balance reset; later spins
+// count towards it. Seasons started before the column existed go by started_at.
+function ensureSeasonColumns() {
+  const columns = db.prepare('PRAGMA table_info(seasons)').all().map((col) => col.name);
+  if (!columns.includes('start_spin_id')) {
+    db.exec('ALTER TABLE seasons ADD COLUMN start_spin_id INTEGER');
+  }
+}
+
+// The next server seed is generated and its hash published while the current one
+// is still active, so rotating can never pick a seed after seeing the client seed.
+function ensurePlayerSeedColumns() {
+  const columns = db.prepare('PRAGMA table_info(player_seeds)').all().map((col) => col.name);
+  if (!columns.includes('next_server_seed')) {
+    db.exec('ALTER TABLE player_seeds ADD COLUMN next_server_seed TEXT');
+  }
+  if (!columns.includes('next_server_seed_hash')) {
+    db.exec('ALTER TABLE player_seeds ADD COLUMN next_server_seed_hash TEXT');
+  }
+}
+
+function ensureSpinColumns() {
+  const columns = db.prepare('PRAGMA table_info(spins)').all().map((col) => col.name);
+  if (!columns.includes('seed_id')) {
+    db.exec('ALTER TABLE spins ADD COLUMN seed_id INTEGER REFERENCES player_seeds(id)');
+  }
+  if (!columns.includes('server_seed_hash')) {
+    db.exec('ALTER TABLE spins ADD COLUMN server_seed_hash TEXT');
+  }
+  if (!columns.includes('client_seed')) {
+    db.exec('ALTER TABLE spins ADD COLUMN client_seed TEXT');
+  }
+  if (!columns.includes('nonce')) {
+    db.exec('ALTER TABLE spins ADD COLUMN nonce INTEGER');
+  }
+  if (!columns.includes('currency')) {
+    db.exec('ALTER TABLE spins ADD COLUMN currency INTEGER NOT NULL DEFAULT 3');
+  }
+  if (!columns.includes('lootbox')) {
+    db.exec('ALTER TABLE spins ADD COLUMN lootbox TEXT');
+  }
+}
+
+function ensureAffiliateEarningColumns() {
+  const columns = db.prepare('PRAGMA table_info(affiliate_earnings)').all().map((col) => col.name);
+  if (!columns.includes('currency')) {
+    db.exec('ALTER TABLE affiliate_earnings ADD COLUMN currency INTEGER NOT NULL DEFAULT 3');
+  }
+}
+
+// Demo starting balance per currency id (ETH, BURNIE, DGNRS, WWXRP).
+const STARTING_BALANCES = [1, 10000, 1000, 1000];
+
+// Copies the legacy players.balance_wwxrp column into player_balances and seeds
+// starting balances for the other currencies. Idempotent: existing rows are kept.
+function migrateBalances() {
+  db.exec(`
+    INSERT OR IGNORE INTO player_balances (player_id, currency, balance)
+    SELECT id, ${CURRENCY_WWXRP}, balance_wwxrp FROM players
+  `);
+  const seed = db.prepare(`
+    INSERT OR IGNORE INTO player_balances (player_id, currency, balance)
+    SELECT id, ?, ? FROM players
+  `);
+  STARTING_BALANCES.forEach((balance, currency) => seed.run(currency, balance));
+}
+
+// Every wallet belongs to an account. Balances, spins and settings that belong to
+// the account live on its primary wallet's player row; players.discord_* is kept
+// on the primary only, mirroring accounts.discord_*. Wallets that already shared
+// a Discord id become one account. A wallet with locked affiliate settings is
+// preferred as primary (then the richest in WWXRP); the other wallets' balances are
+// added to it and the best activity score is kept. Each merge is written to
+// admin_actions with what every wallet held, including affiliate settings that the
+// primary's replace, so an admin can review it.
+const _insertAccount = db.prepare(`
+  INSERT INTO accounts (primary_player_id, discord_id, discord_name, discord_avatar) VALUES (?, ?, ?, ?)
+`);
+
+function mergeMigratedWallets(primary, others) {
+  const balancesOf = db.prepare('SELECT currency, balance FROM player_balances WHERE player_id = ?');
+  const addBalance = db.prepare(`
+    UPDATE player_balances SET balance = balance + ?, updated_at = datetime('now') WHERE player_id = ? AND currency = ?
+  `);
+  const clearBalances = db.prepare(`
+    UPDATE player_balances SET balance = 0, updated_at = datetime('now') WHERE player_id = ?
+  `);
+  const wallets = [primary, ...others].map((wallet) => ({
+    address: wallet.eth_address,
+    balances: Object.fromEntries(balancesOf.all(wallet.id).map((row) => [CURRENCY_NAMES[row.currency], row.balance])),
+    activityScoreBps: wallet.activity_score_bps,
+    referralCode: wallet.referral_code,
+    affiliateRakebackBps: wallet.affiliate_rakeback_bps,
+    referralLocked: Boolean(wallet.referral_locked),
+  }));
+
+  for (const wallet of others) {
+    for (const { currency, balance } of balancesOf.all(wallet.id)) addBalance.run(balance, primary.id, currency);
+    clearBalances.run(wallet.id);
+    db.prepare('UPDATE players SET discord_id = NULL, discord_name = NULL, discord_avatar = NULL WHERE id = ?').run(wallet.id);
+  }
+  const activity = Math.max(...[primary, ...others].map((wallet) => Number(wallet.activity_score_bps) || 0));
+  db.prepare('UPDATE players SET activity_score_bps = ? WHERE id = ?').run(activity, primary.id);
+
+  db.prepare(`
+    INSERT INTO admin_actions (admin_address, role, action, target, reason, details) VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    'migration', 'system', 'merge_wallets', primary.eth_address,
+    'Wallets sharing a Discord id merged into one account',
+    JSON.stringify({
+      wallets,
+      // Referral codes of every wallet now pay the primary at the primary's rakeback.
+      replacedAffiliateSettings: wallets.slice(1).filter((wallet) =>
+        (wallet.referralLocked || wallet.affiliateRakebackBps > 0)
+        && wallet.affiliateRakebackBps !== primary.affiliate_rakeback_bps
+      ).map((wallet) => wallet.address),
+    })
+  );
+}
+
+function migrateAccounts() {
+  const txn = db.transaction(() => {
+    const rows = db.prepare(`
+      SELECT p.discord_id, p.id, p.eth_address, p.discord_name, p.discord_avatar, p.activity_score_bps,
+             p.referral_code, p.affiliate_rakeback_bps, p.referral_locked
+      FROM players p
+      INNER JOIN player_balances b ON b.player_id = p.id AND b.currency = ${CURRENCY_WWXRP}
+      WHERE p.account_id IS NULL AND p.discord_id IS NOT NULL AND p.discord_id != ''
+      ORDER BY p.discord_id, p.referral_locked DESC, b.balance DESC, p.updated_at DESC
+    `).all();
+    const groups = new Map();
+    for (const row of rows) {
+      if (!groups.has(row.discord_id)) groups.set(row.discord_id, []);
+      groups.get(row.discord_id).push(row);
+    }
+    for (const [discordId, [primary, ...others]] of groups) {
+      const account = _insertAccount.run(primary.id, discordId, primary.discord_name, primary.discord_avatar);
+      for (const wallet of [primary, ...others]) {
+        db.prepare('UPDATE players SET account_id = ? WHERE id = ?').run(account.lastInsertRowid, wallet.id);
+      }
+      if (others.length) mergeMigratedWallets(primary, others);
+    }
+    for (const { id } of db.prepare('SELECT id FROM players WHERE account_id IS NULL').all()) {
+      const account = _insertAccount.run(id, null, null, null);
+      db.prepare('UPDATE players SET account_id = ? WHERE id = ?').run(account.lastInsertRowid, id);
+    }
+  });
+  txn();
+}
+
+// Progressive jackpot pools start (and restart after a win) at this amount per currency id.
+const JACKPOT_RESET_AMOUNTS = [0.5, 5000, 500, 500];
+
+function seedJackpotPools() {
+  const insert = db.prepare('INSERT OR IGNORE INTO jackpot_pools (currency, balance) VALUES (?, ?)');
+  JACKPOT_RESET_AMOUNTS.forEach((amount, currency) => insert.run(currency, amount));
 }
 
 ensurePlayerColumns();
+ensureAccountColumns();
+ensureSeasonColumns();
+ensurePlayerSeedColumns();
+ensureSpinColumns();
+ensureAffiliateEarningColumns();
+ensureAgentRegistrationColumns();
+migrateBalances();
+migrateAccounts();
+seedJackpotPools();
 
 function generateReferralCode() {
   return Math.random().toString(36).slice(2, 10).toUpperCase();
 }
 
+function ensurePlayerBalances(playerId) {
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO player_balances (player_id, currency, balance) VALUES (?, ?, ?)
+  `);
+  STARTING_BALANCES.forEach((balance, currency) => insert.run(playerId, currency, balance));
+}
+
+// Balances keyed by currency name, e.g. { ETH: 1, BURNIE: 10000, DGNRS: 1000, WWXRP: 1000 }.
+function getPlayerBalances(playerId) {
+  const balances = {};
+  for (const row of db.prepare('SELECT currency, balance FROM player_balances WHERE player_id = ?').all(playerId)) {
+    balances[CURRENCY_NAMES[row.currency]] = row.balance;
+  }
+  return balances;
+}
+
+function creditBalance(playerId, currency, amount) {
+  db.prepare(`
+    UPDATE player_balances SET balance = balance + ?, updated_at = datetime('now')
+    WHERE player_id = ? AND currency = ?
+  `).run(amount, playerId, currency);
+}
+
 function serializePlayer(row) {
   if (!row) return null;
+  const balances = getPlayerBalances(row.id);
   return {
     id: row.id,
+    account_id: row.account_id,
     eth_address: row.eth_address,
     discord_id: row.discord_id,
     discord_name: row.discord_name,
     discord_avatar: row.discord_avatar,
-    balance_wwxrp: row.balance_wwxrp,
+    balances,
+    balance_wwxrp: balances.WWXRP ?? 0,
     activity_score_bps: row.activity_score_bps,
     referral_code: row.referral_code,
     referrer_code: row.referrer_code,
     affiliate_rakeback_bps: row.affiliate_rakeback_bps,
     referral_locked: row.referral_locked,
     nonce: row.nonce,
+    nonce_expires_at: row.nonce_expires_at,
   };
 }
 
 export function sanitizePlayer(row) {
   if (!row) return null;
-  const { nonce, ...safe } = row;
+  const { nonce, nonce_expires_at: nonceExpiresAt, ...safe } = row;
   return safe;
 }
 
@@ -101,36 +499,215 @@ export function getPlayerByAddress(address) {
   return serializePlayer(row);
 }
 
+// The primary player of the account linked to this Discord id.
+export function getPlayerByDiscordId(discordId) {
+  const row = db.prepare(`
+    SELECT p.* FROM accounts a INNER JOIN players p ON p.id = a.primary_player_id WHERE a.discord_id = ?
+  `).get(discordId);
+  return serializePlayer(row);
+}
+
 export function getPlayerByReferralCode(code) {
   const row = db.prepare('SELECT * FROM players WHERE referral_code = ?').get(code);
   return serializePlayer(row);
 }
 
-export function getLeaderboard(limit = 10) {
-  // Only show highest balance per Discord user (prevents multi-wallet spam)
+function getAccountPrimaryByReferralCode(code) {
+  const row = db.prepare(`
+    SELECT pp.* FROM players p
+    INNER JOIN accounts a ON a.id = p.account_id
+    INNER JOIN players pp ON pp.id = a.primary_player_id
+    WHERE p.referral_code = ?
+  `).get(code);
+  return serializePlayer(row);
+}
+
+// --- Accounts ---
+
+// The primary wallet of the account `address` belongs to. Account-level state
+// (balances, seeds, affiliate settings) is read and written through it.
+export function getAccountAddress(address) {
+  const row = db.prepare(`
+    SELECT pp.eth_address FROM players p
+    INNER JOIN accounts a ON a.id = p.account_id
+    INNER JOIN players pp ON pp.id = a.primary_player_id
+    WHERE p.eth_address = ?
+  `).get(address);
+  return row?.eth_address ?? null;
+}
+
+export function getAccount(address) {
+  const account = db.prepare(`
+    SELECT a.* FROM players p INNER JOIN accounts a ON a.id = p.account_id WHERE p.eth_address = ?
+  `).get(address);
+  if (!account) return null;
+  const wallets = db.prepare('SELECT id, eth_address FROM players WHERE account_id = ? ORDER BY id ASC').all(account.id);
+  return {
+    id: account.id,
+    discord_id: account.discord_id,
+    discord_name: account.discord_name,
+    discord_avatar: account.discord_avatar,
+    primary_address: wallets.find((wallet) => wallet.id === account.primary_player_id).eth_address,
+    banned_at: account.banned_at,
+    ban_reason: account.ban_reason,
+    wallets: wallets.map((wallet) => ({
+      address: wallet.eth_address,
+      primary: wallet.id === account.primary_player_id,
+    })),
+    created_at: account.created_at,
+  };
+}
+
+export function isAccountBanned(address) {
+  const row = db.prepare(`
+    SELECT a.banned_at FROM players p INNER JOIN accounts a ON a.id = p.account_id WHERE p.eth_address = ?
+  `).get(address);
+  return Boolean(row?.banned_at);
+}
+
+// True once a wallet's own row has moved away from a new player's: it has spun,
+// its balances differ from the starting ones, or it has activity or locked
+// affiliate settings.
+function hasWalletState(playerId) {
+  const row = db.prepare('SELECT activity_score_bps, referral_locked FROM players WHERE id = ?').get(playerId);
+  if (row.activity_score_bps !== 0 || row.referral_locked) return true;
+  if (db.prepare('SELECT 1 FROM spins WHERE player_id = ? LIMIT 1').get(playerId)) return true;
+  return db.prepare('SELECT currency, balance FROM player_balances WHERE player_id = ?').all(playerId)
+    .some(({ currency, balance }) => Math.abs(balance - (STARTING_BALANCES[currency] ?? 0)) > 1e-9);
+}
+
+// Moves `address` into account `accountId`. Only a wallet that is alone in its
+// account and still has a new player's state can be linked, because the wallet's
+// own balances are not merged (fresh wallets can't be farmed for starting
+// balances) and anything else would be lost. If its account had Discord linked,
+// it comes along.
+export function linkWalletToAccount(accountId, address) {
+  const txn = db.transaction(() => {
+    const player = db.prepare('SELECT id, account_id FROM players WHERE eth_address = ?').get(address);
+    if (!player) return { ok: false, error: 'Player not found' };
+    if (player.account_id === accountId) return { ok: false, error: 'Wallet already linked to this account' };
+    const target = db.prepare('SELECT * FROM accounts WHERE id = ?').get(accountId);
+    const source = db.prepare('SELECT * FROM accounts WHERE id = ?').get(player.account_id);
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM players WHERE account_id = ?').get(source.id);
+    if (count > 1) return { ok: false, error: 'Wallet belongs to another account with linked wallets; unlink it first' };
+    if (source.banned_at) return { ok: false, error: 'Wallet belongs to a banned account' };
+    if (hasWalletState(player.id)) {
+      return { ok: false, error: 'Wallet has its own balances or history; only unused wallets can be linked' };
+    }
+    if (target.discord_id && source.discord_id) {
+      return { ok: false, error: 'Both accounts have Discord linked; disconnect one first' };
+    }
+
+    db.prepare('UPDATE players SET account_id = ?, updated_at = datetime(\'now\') WHERE id = ?').run(accountId, player.id);
+    db.prepare('DELETE FROM accounts WHERE id = ?').run(source.id);
+    if (source.discord_id) {
+      db.prepare(`
+        UPDATE accounts SET discord_id = ?, discord_name = ?, discord_avatar = ?, updated_at = datetime('now') WHERE id = ?
+      `).run(source.discord_id, source.discord_name, source.discord_avatar, accountId);
+    }
+    syncAccountDiscord(accountId);
+    return { ok: true };
+  });
+  return txn();
+}
+
+// Gives `address` an account of its own again. The primary wallet stays put, and
+// a ban on the account carries over to the new one.
+export function unlinkWallet(accountId, address) {
+  const txn = db.transaction(() => {
+    const player = db.prepare('SELECT id, account_id FROM players WHERE eth_address = ?').get(address);
+    if (!player || player.account_id !== accountId) return { ok: false, error: 'Wallet is not linked to this account' };
+    const account = db.prepare('SELECT primary_player_id, banned_at, ban_reason FROM accounts WHERE id = ?').get(accountId);
+    if (account.primary_player_id === player.id) return { ok: false, error: 'The primary wallet cannot be unlinked' };
+    const created = _insertAccount.run(player.id, null, null, null);
+    if (account.banned_at) {
+      db.prepare('UPDATE accounts SET banned_at = ?, ban_reason = ? WHERE id = ?')
+        .run(account.banned_at, account.ban_reason, created.lastInsertRowid);
+    }
+    db.prepare('UPDATE players SET account_id = ?, updated_at = datetime(\'now\') WHERE id = ?').run(created.lastInsertRowid, player.id);
+    return { ok: true };
+  });
+  return txn();
+}
+
+// Shown in place of a Discord name for wallets without one, e.g. 0x1234…abcd.
+function truncateAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+// One row per account, ranked by its primary wallet's WWXRP balance.
+export function getLeaderboard(limit = 10, { includeAnonymous = false } = {}) {
   const rows = db.prepare(`
-    SELECT p.eth_address, p.discord_id, p.discord_name, p.discord_avatar, p.balance_wwxrp
-    FROM players p
-    INNER JOIN (
-      SELECT discord_id, MAX(balance_wwxrp) as max_balance
-      FROM players
-      WHERE discord_id IS NOT NULL AND discord_id != ''
-      GROUP BY discord_id
-    ) best ON p.discord_id = best.discord_id AND p.balance_wwxrp = best.max_balance
-    ORDER BY p.balance_wwxrp DESC, p.updated_at DESC
+    SELECT p.eth_address, a.discord_name, a.discord_avatar, b.balance AS balance_wwxrp
+    FROM accounts a
+    INNER JOIN players p ON p.id = a.primary_player_id
+    INNER JOIN player_balances b ON b.player_id = p.id AND b.currency = ${CURRENCY_WWXRP}
+    WHERE a.banned_at IS NULL ${includeAnonymous ? '' : 'AND a.discord_id IS NOT NULL'}
+    ORDER BY b.balance DESC, p.updated_at DESC
     LIMIT ?
   `).all(limit);
   return rows.map((row) => ({
     eth_address: row.eth_address,
     discord_name: row.discord_name,
     discord_avatar: row.discord_avatar,
+    display_name: row.discord_name || truncateAddress(row.eth_address),
     balance_wwxrp: row.balance_wwxrp,
   }));
 }
 
+const LEADERBOARD_ORDER_COLUMNS = {
+  net: 'net',
+  wagered: 'wagered',
+  multiplier: 'best_multiplier',
+  activity: 'activity_score_bps',
+};
+
+// Ranks spin activity inside [from, to) by `metric`: net, wagered, multiplier
+// (best payout / bet) or activity (current activity score of players who spun).
+// Wallets sharing a Discord account are combined into one row.
+export function getSpinLeaderboard({ metric, from, to, currency = CURRENCY_WWXRP, includeAnonymous = false, limit = 10 }) {
+  const orderColumn = LEADERBOARD_ORDER_COLUMNS[metric];
+  if (!orderColumn) throw new Error(`Unknown leaderboard metric '${metric}'`);
+  const filter = timeRangeFilter('s.created_at', { from, to });
+  const rows = db.prepare(`
+    SELECT a.id AS account_id,
+           pp.eth_address,
+           a.discord_id,
+           a.discord_name,
+           a.discord_avatar,
+           SUM(s.net) AS net,
+           SUM(s.bet_amount) AS wagered,
+           MAX(s.payout / s.bet_amount) AS best_multiplier,
+           MAX(p.activity_score_bps) AS activity_score_bps,
+           COUNT(*) AS spins
+    FROM spins s
+    INNER JOIN players p ON p.id = s.player_id
+    INNER JOIN accounts a ON a.id = p.account_id
+    INNER JOIN players pp ON pp.id = a.primary_player_id
+    WHERE s.currency = ? AND a.banned_at IS NULL${filter.sql}
+      ${includeAnonymous ? '' : 'AND a.discord_id IS NOT NULL'}
+    GROUP BY a.id
+    ORDER BY ${orderColumn} DESC, spins DESC
+    LIMIT ?
+  `).all(currency, ...filter.params, limit);
+
+  return rows.map((row) => ({
+    eth_address: row.eth_address,
+    discord_name: row.discord_name,
+    discord_avatar: row.discord_avatar,
+    display_name: row.discord_name || truncateAddress(row.eth_address),
+    value: row[orderColumn],
+    net: row.net,
+    wagered: row.wagered,
+    best_multiplier: row.best_multiplier,
+    activity_score_bps: row.activity_score_bps,
+    spins: row.spins,
+  }));
+}
+
 export function getBiggestWins(limit = 10) {
   const rows = db.prepare(`
-    SELECT s.bet_amount, s.payout, s.net, s.matches, s.player_ticket, s.house_ticket,
+    SELECT s.bet_amount, s.payout, s.net, s.matches, s.player_ticket, s.house_ticket, s.currency,
            p.eth_address, p.discord_name, p.discord_avatar
     FROM spins s
     INNER JOIN players p ON p.id = s.player_id
@@ -149,6 +726,40 @@ export function getBiggestWins(limit = 10) {
     matches: row.matches,
     player_ticket: row.player_ticket,
     house_ticket: row.house_ticket,
+    currency: row.currency,
+  }));
+}
+
+// Public spin rows for the live feed: either specific ids, or the latest `limit`
+// spins after `afterId` (used to replay missed events on reconnect), oldest first.
+export function getFeedSpins({ afterId = 0, ids = null, minMultiplier = 0, limit = 100 } = {}) {
+  const idFilter = ids ? `s.id IN (${ids.map(() => '?').join(', ')})` : 's.id > ?';
+  const rows = db.prepare(`
+    SELECT s.id, s.bet_amount, s.payout, s.net, s.matches, s.currency, s.created_at,
+           p.eth_address, p.discord_name, p.discord_avatar,
+           COALESCE(j.amount, 0) AS jackpot_prize
+    FROM spins s
+    INNER JOIN players p ON p.id = s.player_id
+    LEFT JOIN jackpot_wins j ON j.spin_id = s.id
+    WHERE ${idFilter} AND s.payout >= s.bet_amount * ?
+    ORDER BY s.id DESC
+    LIMIT ?
+  `).all(...(ids ?? [afterId]), minMultiplier, limit);
+
+  return rows.reverse().map((row) => ({
+    id: row.id,
+    eth_address: row.eth_address,
+    discord_name: row.discord_name,
+    discord_avatar: row.discord_avatar,
+    display_name: row.discord_name || truncateAddress(row.eth_address),
+    bet_amount: row.bet_amount,
+    payout: row.payout,
+    net: row.net,
+    multiplier: row.payout / row.bet_amount,
+    matches: row.matches,
+    currency: row.currency,
+    jackpot_prize: row.jackpot_prize,
+    created_at: row.created_at,
   }));
 }
 
@@ -163,7 +774,12 @@ export function getOrCreatePlayer(address) {
   `);
   for (let attempts = 0; attempts < 20; attempts++) {
     try {
-      insert.run(address, referral);
+      db.transaction(() => {
+        const info = insert.run(address, referral);
+        ensurePlayerBalances(info.lastInsertRowid);
+        const account = _insertAccount.run(info.lastInsertRowid, null, null, null);
+        db.prepare('UPDATE players SET account_id = ? WHERE id = ?').run(account.lastInsertRowid, info.lastInsertRowid);
+      })();
       break;
     } catch (err) {
       if (attempts === 19) throw new Error('Failed to generate unique referral code');
@@ -234,77 +850,757 @@ export function setAffiliateConfig(address, { code, rakebackBps }) {
   return { ok: true, player: getPlayerByAddress(address) };
 }
 
+// Links a Discord identity to the account of `address`. A Discord id belongs to
+// one account at a time, so linking it here unlinks it from any other account.
 export function updatePlayerDiscord(address, user) {
+  const txn = db.transaction(() => {
+    const player = db.prepare('SELECT id, account_id FROM players WHERE eth_address = ?').get(address);
+    if (!player) return;
+    const setAccountDiscord = db.prepare(`
+      UPDATE accounts SET discord_id = ?, discord_name = ?, discord_avatar = ?, updated_at = datetime('now') WHERE id = ?
+    `);
+    const previous = db.prepare('SELECT id FROM accounts WHERE discord_id = ? AND id != ?').get(user.id, player.account_id);
+    if (previous) {
+      setAccountDiscord.run(null, null, null, previous.id);
+      syncAccountDiscord(previous.id);
+    }
+    setAccountDiscord.run(user.id, user.username, user.avatarUrl, player.account_id);
+    syncAccountDiscord(player.account_id);
+  });
+  txn();
+}
+
+// Copies accounts.discord_* onto the account's primary player and clears it from
+// its other wallets, so per-player queries see one Discord entry per account.
+function syncAccountDiscord(accountId) {
+  const account = db.prepare('SELECT * FROM accounts WHERE id = ?').get(accountId);
   db.prepare(`
-    UPDATE players
-    SET discord_id = ?, discord_name = ?, discord_avatar = ?, updated_at = datetime('now')
-    WHERE eth_address = ?
-  `).run(user.id, user.username, user.avatarUrl, address);
+    UPDATE players SET discord_id = NULL, discord_name = NULL, discord_avatar = NULL
+    WHERE account_id = ? AND id != ?
+  `).run(accountId, account.primary_player_id);
+  db.prepare(`
+    UPDATE players SET discord_id = ?, discord_name = ?, discord_avatar = ?, updated_at = datetime('now') WHERE id = ?
+  `).run(account.discord_id, account.discord_name, account.discord_avatar, account.primary_player_id);
 }
 
-export function setPlayerNonce(address, nonce) {
+export function setPlayerNonce(address, nonce, ttlSeconds) {
   db.prepare(`
     UPDATE players
-    SET nonce = ?, updated_at = datetime('now')
+    SET nonce = ?, nonce_expires_at = datetime('now', '+' || ? || ' seconds'), updated_at = datetime('now')
     WHERE eth_address = ?
-  `).run(nonce, address);
+  `).run(nonce, ttlSeconds, address);
 }
 
-export function clearPlayerNonce(address) {
-  db.prepare(`
+// The player's login nonce, or null if none was issued or it has expired.
+export function getActivePlayerNonce(address) {
+  const row = db.prepare(`
+    SELECT nonce FROM players
+    WHERE eth_address = ? AND nonce IS NOT NULL AND nonce_expires_at > datetime('now')
+  `).get(address);
+  return row?.nonce ?? null;
+}
+
+// Clears the nonce only if it is still `nonce`, so each one logs in at most once.
+export function clearPlayerNonce(address, nonce) {
+  const info = db.prepare(`
     UPDATE players
-    SET nonce = NULL, updated_at = datetime('now')
-    WHERE eth_address = ?
-  `).run(address);
+    SET nonce = NULL, nonce_expires_at = NULL, updated_at = datetime('now')
+    WHERE eth_address = ? AND nonce = ?
+  `).run(address, nonce);
+  return info.changes > 0;
 }
 
-export function updatePlayerState(address, { balance, activityScoreBps }) {
+export function updatePlayerState(address, { balance, activityScoreBps, currency = CURRENCY_WWXRP }) {
+  const player = getPlayerByAddress(address);
+  if (!player) return null;
   db.prepare(`
     UPDATE players
-    SET balance_wwxrp = ?, activity_score_bps = ?, updated_at = datetime('now')
-    WHERE eth_address = ?
-  `).run(balance, activityScoreBps, address);
+    SET activity_score_bps = ?, updated_at = datetime('now')
+    WHERE id = ?
+  `).run(activityScoreBps, player.id);
+  db.prepare(`
+    UPDATE player_balances SET balance = ?, updated_at = datetime('now')
+    WHERE player_id = ? AND currency = ?
+  `).run(balance, player.id, currency);
   return getPlayerByAddress(address);
 }
 
+// --- Provably fair seeds ---
+
+function insertPlayerSeed(playerId, clientSeed, serverSeed = generateServerSeed()) {
+  const nextServerSeed = generateServerSeed();
+  const info = db.prepare(`
+    INSERT INTO player_seeds (player_id, server_seed, server_seed_hash, client_seed, next_server_seed, next_server_seed_hash)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    playerId, serverSeed, hashServerSeed(serverSeed), clientSeed || generateClientSeed(),
+    nextServerSeed, hashServerSeed(nextServerSeed)
+  );
+  return db.prepare('SELECT * FROM player_seeds WHERE id = ?').get(info.lastInsertRowid);
+}
+
+function getActiveSeedRow(playerId) {
+  const row = db.prepare('SELECT * FROM player_seeds WHERE player_id = ? AND active = 1').get(playerId);
+  if (!row) return insertPlayerSeed(playerId);
+  if (row.next_server_seed) return row;
+  // Seeds activated before next seeds were committed get their commitment now.
+  const nextServerSeed = generateServerSeed();
+  db.prepare(`
+    UPDATE player_seeds SET next_server_seed = ?, next_server_seed_hash = ? WHERE id = ?
+  `).run(nextServerSeed, hashServerSeed(nextServerSeed), row.id);
+  return db.prepare('SELECT * FROM player_seeds WHERE id = ?').get(row.id);
+}
+
+// Public view of a seed: the server seed itself is only included once revealed.
+// nextServerSeedHash is the commitment the following seed will be activated with.
+function serializeSeed(row) {
+  if (!row) return null;
+  return {
+    serverSeedHash: row.server_seed_hash,
+    serverSeed: row.active ? null : row.server_seed,
+    clientSeed: row.client_seed,
+    nonce: row.nonce,
+    nextServerSeedHash: row.next_server_seed_hash,
+    createdAt: row.created_at,
+    revealedAt: row.revealed_at,
+  };
+}
+
+export function getPlayerSeed(address) {
+  const player = getPlayerByAddress(address);
+  if (!player) return null;
+  return serializeSeed(getActiveSeedRow(player.id));
+}
+
+export function getPlayerSeedHistory(address, limit = 20) {
+  const player = getPlayerByAddress(address);
+  if (!player) return [];
+  return db.prepare(`
+    SELECT * FROM player_seeds WHERE player_id = ? ORDER BY id DESC LIMIT ?
+  `).all(player.id, limit).map(serializeSeed);
+}
+
+// Sets the client seed of the active seed. Only allowed before its first spin, so a
+// player can always pick their own client seed after seeing the server seed hash.
+export function setPlayerClientSeed(address, clientSeed) {
+  const txn = db.transaction(() => {
+    const player = getPlayerByAddress(address);
+    if (!player) return { error: 'Player not found' };
+    const seed = getActiveSeedRow(player.id);
+    if (seed.nonce > 0) {
+      return { error: 'Client seed can only be changed before the first spin; rotate your seed instead' };
+    }
+    db.prepare('UPDATE player_seeds SET client_seed = ? WHERE id = ?').run(clientSeed, seed.id);
+    return { ok: true, current: serializeSeed(db.prepare('SELECT * FROM player_seeds WHERE id = ?').get(seed.id)) };
+  });
+  return txn();
+}
+
+// Reveals the active server seed and activates the already committed next seed with
+// the player's client seed, committing to a fresh next seed in turn.
+export function rotatePlayerSeed(address, clientSeed) {
+  const txn = db.transaction(() => {
+    const player = getPlayerByAddress(address);
+    if (!player) return { error: 'Player not found' };
+    const previous = getActiveSeedRow(player.id);
+    db.prepare(`
+      UPDATE player_seeds SET active = 0, revealed_at = datetime('now') WHERE id = ?
+    `).run(previous.id);
+    const current = insertPlayerSeed(player.id, clientSeed, previous.next_server_seed);
+    return {
+      ok: true,
+      previous: serializeSeed(db.prepare('SELECT * FROM player_seeds WHERE id = ?').get(previous.id)),
+      current: serializeSeed(current),
+    };
+  });
+  return txn();
+}
+
+export function getSpinFairness(spinId) {
+  const row = db.prepare(`
+    SELECT s.id, s.house_ticket, s.lootbox, s.server_seed_hash, s.client_seed, s.nonce,
+           ps.server_seed, ps.active
+    FROM spins s
+    LEFT JOIN player_seeds ps ON ps.id = s.seed_id
+    WHERE s.id = ?
+  `).get(spinId);
+  if (!row) return null;
+  return {
+    spinId: row.id,
+    houseTicket: JSON.parse(row.house_ticket),
+    lootbox: row.lootbox ? JSON.parse(row.lootbox) : null,
+    serverSeedHash: row.server_seed_hash,
+    serverSeed: row.active === 0 ? row.server_seed : null,
+    clientSeed: row.client_seed,
+    nonce: row.nonce,
+  };
+}
+
+// --- Affiliate payouts ---
+
+// Share of the house edge on a referred player's wager that goes to their affiliate.
+// The affiliate's configured rakeback is then carved out of that share for the player.
+const AFFILIATE_SHARE_BPS = 2000;
+
+// Credits the affiliate (and rakeback to the referred player) for one spin row.
+// Must run inside the spin transaction. Returns the rakeback credited to the player.
+function creditAffiliate(player, affiliate, spinId, wager, roiBps, currency) {
+  const edge = houseEdge(wager, roiBps);
+  const share = (edge * AFFILIATE_SHARE_BPS) / 10000;
+  if (share <= 0) return 0;
+  const rakebackBps = Number(affiliate.affiliate_rakeback_bps) || 0;
+  const rakeback = (share * rakebackBps) / 10000;
+  const affiliateAmount = share - rakeback;
+
+  creditBalance(affiliate.id, currency, affiliateAmount);
+  if (rakeback > 0) creditBalance(player.id, currency, rakeback);
+
+  db.prepare(`
+    INSERT INTO affiliate_earnings (spin_id, affiliate_player_id, referred_player_id, referral_code,
+                                    wager, house_edge, affiliate_amount, rakeback_amount, rakeback_bps, currency)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(spinId, affiliate.id, player.id, affiliate.referral_code, wager, edge, affiliateAmount, rakeback, rakebackBps, currency);
+
+  return rakeback;
+}
+
+// --- Affiliate dashboard ---
+
+// Builds an optional `AND column >= ? AND column < ?` filter for { from, to }
+// bounds given as SQLite datetime strings.
+function timeRangeFilter(column, range = {}) {
+  const clauses = [];
+  const params = [];
+  if (range.from) {
+    clauses.push(`${column} >= ?`);
+    params.push(range.from);
+  }
+  if (range.to) {
+    clauses.push(`${column} < ?`);
+    params.push(range.to);
+  }
+  return { sql: clauses.map((clause) => ` AND ${clause}`).join(''), params };
+}
+
+// Affiliate stats cover every wallet in the affiliate's account; both take the account id.
+const ACCOUNT_REFERRAL_CODES = 'SELECT referral_code FROM players WHERE account_id = ? AND referral_code IS NOT NULL';
+const ACCOUNT_PLAYER_IDS = 'SELECT id FROM players WHERE account_id = ?';
+
+export function getAffiliateReferrals(affiliate, range, currency = CURRENCY_WWXRP) {
+  if (!affiliate?.referral_code) return [];
+  const spinRange = timeRangeFilter('created_at', range);
+  const earningRange = timeRangeFilter('created_at', range);
+  const rows = db.prepare(`
+    SELECT p.eth_address, p.discord_name, p.created_at,
+           COALESCE(w.wagered, 0) AS wagered, COALESCE(w.spins, 0) AS spins,
+           COALESCE(e.earned, 0) AS earned, COALESCE(e.rakeback, 0) AS rakeback
+    FROM players p
+    LEFT JOIN (
+      SELECT player_id, SUM(bet_amount) AS wagered, COUNT(*) AS spins
+      FROM spins
+      WHERE currency = ?${spinRange.sql}
+      GROUP BY player_id
+    ) w ON w.player_id = p.id
+    LEFT JOIN (
+      SELECT referred_player_id, SUM(affiliate_amount) AS earned, SUM(rakeback_amount) AS rakeback
+      FROM affiliate_earnings
+      WHERE affiliate_player_id IN (${ACCOUNT_PLAYER_IDS}) AND currency = ?${earningRange.sql}
+      GROUP BY referred_player_id
+    ) e ON e.referred_player_id = p.id
+    WHERE p.referrer_code IN (${ACCOUNT_REFERRAL_CODES})
+    ORDER BY wagered DESC, p.created_at ASC
+  `).all(currency, ...spinRange.params, affiliate.account_id, currency, ...earningRange.params, affiliate.account_id);
+
+  return rows.map((row) => ({
+    eth_address: row.eth_address,
+    discord_name: row.discord_name,
+    joined_at: row.created_at,
+    wagered: row.wagered,
+    spins: row.spins,
+    affiliate_earned: row.earned,
+    rakeback_paid: row.rakeback,
+  }));
+}
+
+export function getAffiliateDailyVolume(affiliate, range, currency = CURRENCY_WWXRP) {
+  if (!affiliate?.referral_code) return [];
+  const filter = timeRangeFilter('s.created_at', range);
+  return db.prepare(`
+    SELECT date(s.created_at) AS day, SUM(s.bet_amount) AS wagered, COUNT(*) AS spins,
+           COUNT(DISTINCT s.player_id) AS players
+    FROM spins s
+    INNER JOIN players p ON p.id = s.player_id
+    WHERE p.referrer_code IN (${ACCOUNT_REFERRAL_CODES}) AND s.currency = ?${filter.sql}
+    GROUP BY day
+    ORDER BY day ASC
+  `).all(affiliate.account_id, currency, ...filter.params);
+}
+
+export function getAffiliateEarnings(affiliate, range, currency = CURRENCY_WWXRP) {
+  const empty = { wagered: 0, house_edge: 0, affiliate_earned: 0, rakeback_paid: 0 };
+  if (!affiliate) return { totals: empty, daily: [] };
+  const filter = timeRangeFilter('created_at', range);
+  const daily = db.prepare(`
+    SELECT date(created_at) AS day, SUM(wager) AS wagered, SUM(house_edge) AS house_edge,
+           SUM(affiliate_amount) AS affiliate_earned, SUM(rakeback_amount) AS rakeback_paid
+    FROM affiliate_earnings
+    WHERE affiliate_player_id IN (${ACCOUNT_PLAYER_IDS}) AND currency = ?${filter.sql}
+    GROUP BY day
+    ORDER BY day ASC
+  `).all(affiliate.account_id, currency, ...filter.params);
+
+  const totals = daily.reduce((sum, day) => ({
+    wagered: sum.wagered + day.wagered,
+    house_edge: sum.house_edge + day.house_edge,
+    affiliate_earned: sum.affiliate_earned + day.affiliate_earned,
+    rakeback_paid: sum.rakeback_paid + day.rakeback_paid,
+  }), empty);
+  return { totals, daily };
+}
+
+// --- Spin history ---
+
+function serializeSpin(row) {
+  return {
+    id: row.id,
+    bet_amount: row.bet_amount,
+    payout: row.payout,
+    net: row.net,
+    matches: row.matches,
+    player_ticket: JSON.parse(row.player_ticket),
+    house_ticket: JSON.parse(row.house_ticket),
+    server_seed_hash: row.server_seed_hash,
+    client_seed: row.client_seed,
+    nonce: row.nonce,
+    currency: row.currency,
+    created_at: row.created_at,
+  };
+}
+
+// Spin history and stats cover every wallet in the player's account.
+const SAME_ACCOUNT_PLAYER_IDS = 'SELECT id FROM players WHERE account_id = (SELECT account_id FROM players WHERE id = ?)';
+
+// Newest-first page of a player's spins. `cursor` is the last spin id of the
+// previous page; `nextCursor` is null once there are no older rows.
+export function getPlayerSpins(playerId, { cursor, limit = 25, range, minMatches, outcome, currency } = {}) {
+  const filter = timeRangeFilter('created_at', range);
+  let sql = `SELECT * FROM spins WHERE player_id IN (${SAME_ACCOUNT_PLAYER_IDS})` + filter.sql;
+  const params = [playerId, ...filter.params];
+  if (currency !== undefined && currency !== null) {
+    sql += ' AND currency = ?';
+    params.push(currency);
+  }
+  if (cursor) {
+    sql += ' AND id < ?';
+    params.push(cursor);
+  }
+  if (minMatches) {
+    sql += ' AND matches >= ?';
+    params.push(minMatches);
+  }
+  if (outcome === 'win') sql += ' AND net > 0';
+  if (outcome === 'loss') sql += ' AND net <= 0';
+  sql += ' ORDER BY id DESC LIMIT ?';
+  params.push(limit + 1);
+
+  const rows = db.prepare(sql).all(...params);
+  const page = rows.slice(0, limit);
+  return {
+    spins: page.map(serializeSpin),
+    nextCursor: rows.length > limit ? page[page.length - 1].id : null,
+  };
+}
+
+// --- Player stats ---
+
+export function getPlayerStats(playerId, currency = CURRENCY_WWXRP) {
+  const totals = db.prepare(`
+    SELECT COUNT(*) AS spins, COALESCE(SUM(bet_amount), 0) AS wagered, COALESCE(SUM(payout), 0) AS paid_out
+    FROM spins WHERE player_id IN (${SAME_ACCOUNT_PLAYER_IDS}) AND currency = ?
+  `).get(playerId, currency);
+
+  const biggest = db.prepare(`
+    SELECT * FROM spins WHERE player_id IN (${SAME_ACCOUNT_PLAYER_IDS}) AND currency = ? AND net > 0 ORDER BY net DESC, id ASC LIMIT 1
+  `).get(playerId, currency);
+
+  // Streaks walk the spins in order; a win is any spin with a positive net.
+  let current = { type: null, length: 0 };
+  let longestWin = 0;
+  let longestLoss = 0;
+  for (const { net } of db.prepare(`SELECT net FROM spins WHERE player_id IN (${SAME_ACCOUNT_PLAYER_IDS}) AND currency = ? ORDER BY id ASC`).iterate(playerId, currency)) {
+    const type = net > 0 ? 'win' : 'loss';
+    current = current.type === type ? { type, length: current.length + 1 } : { type, length: 1 };
+    if (type === 'win') longestWin = Math.max(longestWin, current.length);
+    else longestLoss = Math.max(longestLoss, current.length);
+  }
+
+  // Expected counts sum each played ticket's exact match distribution.
+  const actual = new Array(9).fill(0);
+  const expected = new Array(9).fill(0);
+  for (const row of db.prepare(`SELECT matches, COUNT(*) AS count FROM spins WHERE player_id IN (${SAME_ACCOUNT_PLAYER_IDS}) AND currency = ? GROUP BY matches`).all(playerId, currency)) {
+    actual[row.matches] = row.count;
+  }
+  const tickets = db.prepare(`
+    SELECT player_ticket, COUNT(*) AS count FROM spins WHERE player_id IN (${SAME_ACCOUNT_PLAYER_IDS}) AND currency = ? GROUP BY player_ticket
+  `).all(playerId, currency);
+  for (const row of tickets) {
+    matchDistribution(JSON.parse(row.player_ticket)).forEach((p, matches) => {
+      expected[matches] += p * row.count;
+    });
+  }
+
+  const averageOf = (counts) => (totals.spins
+    ? counts.reduce((sum, count, matches) => sum + count * matches, 0) / totals.spins
+    : null);
+
+  return {
+    currency,
+    spins: totals.spins,
+    totalWagered: totals.wagered,
+    totalPaidOut: totals.paid_out,
+    net: totals.paid_out - totals.wagered,
+    rtp: totals.wagered > 0 ? totals.paid_out / totals.wagered : null,
+    biggestWin: biggest ? {
+      id: biggest.id,
+      betAmount: biggest.bet_amount,
+      payout: biggest.payout,
+      net: biggest.net,
+      matches: biggest.matches,
+      multiplier: biggest.payout / biggest.bet_amount,
+      createdAt: biggest.created_at,
+    } : null,
+    streaks: { current, longestWin, longestLoss },
+    averageMatches: averageOf(actual),
+    expectedAverageMatches: averageOf(expected),
+    matchHistogram: actual.map((count, matches) => ({ matches, count, expected: expected[matches] })),
+  };
+}
+
+// --- Jackpot ---
+
+// Jackpot pools keyed by currency name, in the { pool, resetTo } shape spinFullTicket takes.
+function getJackpotPools() {
+  const pools = {};
+  for (const row of db.prepare('SELECT currency, balance FROM jackpot_pools').all()) {
+    pools[CURRENCY_NAMES[row.currency]] = { pool: row.balance, resetTo: JACKPOT_RESET_AMOUNTS[row.currency] };
+  }
+  return pools;
+}
+
+export function getJackpotSummary() {
+  const pools = {};
+  for (const [name, { pool }] of Object.entries(getJackpotPools())) pools[name] = pool;
+  const recentWins = db.prepare(`
+    SELECT j.currency, j.amount, j.created_at, p.eth_address, p.discord_name
+    FROM jackpot_wins j
+    INNER JOIN players p ON p.id = j.player_id
+    ORDER BY j.id DESC
+    LIMIT 5
+  `).all();
+  return { pools, recentWins };
+}
+
+// --- Discord role sync ---
+
+// One row per account with Discord linked: its balance leaderboard rank (same
+// order as getLeaderboard), activity score and number of referred wallets.
+export function getDiscordRoleMembers() {
+  return db.prepare(`
+    WITH members AS (
+      SELECT a.id, a.discord_id, p.activity_score_bps, p.updated_at, b.balance
+      FROM accounts a
+      INNER JOIN players p ON p.id = a.primary_player_id
+      INNER JOIN player_balances b ON b.player_id = p.id AND b.currency = ${CURRENCY_WWXRP}
+      WHERE a.discord_id IS NOT NULL AND a.banned_at IS NULL
+    ),
+    referrals AS (
+      SELECT w.account_id, COUNT(r.id) AS referrals
+      FROM players w
+      INNER JOIN players r ON r.referrer_code = w.referral_code
+      GROUP BY w.account_id
+    )
+    SELECT m.discord_id, m.activity_score_bps, COALESCE(r.referrals, 0) AS referrals,
+           ROW_NUMBER() OVER (ORDER BY m.balance DESC, m.updated_at DESC) AS rank
+    FROM members m
+    LEFT JOIN referrals r ON r.account_id = m.id
+  `).all();
+}
+
+export function getDiscordRoleAssignments() {
+  return db.prepare('SELECT discord_id, role_id FROM discord_role_assignments').all();
+}
+
+// Audit every attempted change; only successful ones update the assignments.
+export function recordDiscordRoleChange({ discordId, roleId, action, reason, error = null }) {
+  const txn = db.transaction(() => {
+    db.prepare(`
+      INSERT INTO discord_role_changes (discord_id, role_id, action, reason, error) VALUES (?, ?, ?, ?, ?)
+    `).run(discordId, roleId, action, reason, error);
+    if (error) return;
+    if (action === 'add') {
+      db.prepare(`
+        INSERT OR IGNORE INTO discord_role_assignments (discord_id, role_id) VALUES (?, ?)
+      `).run(discordId, roleId);
+    } else {
+      db.prepare('DELETE FROM discord_role_assignments WHERE discord_id = ? AND role_id = ?').run(discordId, roleId);
+    }
+  });
+  txn();
+}
+
+export function getDiscordRoleChanges(limit = 100) {
+  return db.prepare('SELECT * FROM discord_role_changes ORDER BY id DESC LIMIT ?').all(limit);
+}
+
+// --- Seasons ---
+
+const SEASON_STANDINGS_SIZE = 100;
+
+function serializeSeason(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    status: row.status,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+  };
+}
+
+export function getSeasons() {
+  return db.prepare('SELECT * FROM seasons ORDER BY starts_at DESC').all().map(serializeSeason);
+}
+
+export function getSeason(id) {
+  return serializeSeason(db.prepare('SELECT * FROM seasons WHERE id = ?').get(id));
+}
+
+export function getActiveSeason() {
+  return serializeSeason(db.prepare("SELECT * FROM seasons WHERE status = 'active' LIMIT 1").get());
+}
+
+// Dates are SQLite datetime strings (UTC). Seasons may not overlap unless ended
+// or skipped. `admin` is { address, role }, as for the admin actions below.
+export function createSeason(admin, { name, startsAt, endsAt, reason }) {
+  const txn = db.transaction(() => {
+    const overlap = db.prepare(`
+      SELECT id FROM seasons WHERE status NOT IN ('ended', 'skipped') AND starts_at < ? AND ends_at > ? LIMIT 1
+    `).get(endsAt, startsAt);
+    if (overlap) return { error: `Overlaps season ${overlap.id}` };
+    const info = db.prepare(`
+      INSERT INTO seasons (name, starts_at, ends_at, created_by) VALUES (?, ?, ?, ?)
+    `).run(name, startsAt, endsAt, admin.address);
+    recordAdminAction(admin, {
+      action: 'create_season', target: `season:${info.lastInsertRowid}`, reason, details: { name, startsAt, endsAt },
+    });
+    return { ok: true, season: getSeason(info.lastInsertRowid) };
+  });
+  return txn();
+}
+
+// Final standings: one row per account that played WWXRP during the season,
+// ranked by its balance. Spins count from the balance reset, which may lag a
+// start time in the past.
+function computeSeasonStandings(season) {
+  const since = season.start_spin_id !== null
+    ? { sql: 's.id > ?', param: season.start_spin_id }
+    : { sql: 's.created_at >= ?', param: season.started_at ?? season.starts_at };
+  return db.prepare(`
+    WITH season_spins AS (
+      SELECT p.account_id, SUM(s.net) AS net, SUM(s.bet_amount) AS wagered, COUNT(*) AS spins
+      FROM spins s
+      INNER JOIN players p ON p.id = s.player_id
+      WHERE s.currency = ${CURRENCY_WWXRP} AND ${since.sql} AND s.created_at < ?
+      GROUP BY p.account_id
+    )
+    SELECT p.eth_address, a.discord_id, a.discord_name, a.discord_avatar,
+           b.balance AS balance_wwxrp, ss.net, ss.wagered, ss.spins, p.activity_score_bps
+    FROM season_spins ss
+    INNER JOIN accounts a ON a.id = ss.account_id
+    INNER JOIN players p ON p.id = a.primary_player_id
+    INNER JOIN player_balances b ON b.player_id = p.id AND b.currency = ${CURRENCY_WWXRP}
+    WHERE a.banned_at IS NULL
+    ORDER BY b.balance DESC, ss.net DESC
+    LIMIT ?
+  `).all(since.param, season.ends_at, SEASON_STANDINGS_SIZE);
+}
+
+export function getSeasonStandings(seasonId) {
+  const season = db.prepare('SELECT * FROM seasons WHERE id = ?').get(seasonId);
+  if (!season) return null;
+  // Scheduled and skipped seasons have no standings.
+  let rows = [];
+  if (season.status === 'ended') {
+    rows = db.prepare('SELECT * FROM season_standings WHERE season_id = ? ORDER BY rank ASC').all(seasonId);
+  } else if (season.status === 'active') {
+    rows = computeSeasonStandings(season).map((row, idx) => ({ rank: idx + 1, ...row }));
+  }
+  return {
+    season: serializeSeason(season),
+    archived: season.status === 'ended',
+    standings: rows.map((row) => ({
+      rank: row.rank,
+      eth_address: row.eth_address,
+      discord_name: row.discord_name,
+      discord_avatar: row.discord_avatar,
+      display_name: row.discord_name || truncateAddress(row.eth_address),
+      balance_wwxrp: row.balance_wwxrp,
+      net: row.net,
+      wagered: row.wagered,
+      spins: row.spins,
+      activity_score_bps: row.activity_score_bps,
+    })),
+  };
+}
+
+function endSeason(season) {
+  const insert = db.prepare(`
+    INSERT INTO season_standings (season_id, rank, eth_address, discord_id, discord_name, discord_avatar,
+                                  balance_wwxrp, net, wagered, spins, activity_score_bps)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  computeSeasonStandings(season).forEach((row, idx) => {
+    insert.run(
+      season.id, idx + 1, row.eth_address, row.discord_id, row.discord_name, row.discord_avatar,
+      row.balance_wwxrp, row.net, row.wagered, row.spins, row.activity_score_bps
+    );
+  });
+  db.prepare(`
+    UPDATE seasons SET status = 'ended', ended_at = datetime('now') WHERE id = ?
+  `).run(season.id);
+}
+
+// A new season starts everyone from the demo starting balances and zero activity.
+function startSeason(season) {
+  const reset = db.prepare(`
+    UPDATE player_balances SET balance = ?, updated_at = datetime('now') WHERE currency = ?
+  `);
+  STARTING_BALANCES.forEach((balance, currency) => reset.run(balance, currency));
+  db.prepare(`UPDATE players SET activity_score_bps = 0, updated_at = datetime('now')`).run();
+  db.prepare(`
+    UPDATE seasons
+    SET status = 'active', started_at = datetime('now'), start_spin_id = (SELECT COALESCE(MAX(id), 0) FROM spins)
+    WHERE id = ?
+  `).run(season.id);
+}
+
+// Ends seasons past their end time (archiving standings), skips scheduled ones
+// that are already over and starts seasons whose start time has arrived. Safe to
+// call repeatedly; returns what changed.
+export function runSeasonTransitions() {
+  const txn = db.transaction(() => {
+    const ended = db.prepare(`
+      SELECT * FROM seasons WHERE status = 'active' AND ends_at <= datetime('now') ORDER BY ends_at ASC
+    `).all();
+    ended.forEach(endSeason);
+
+    // Seasons that were scheduled but are already over never start, so there is
+    // nothing to archive.
+    const skipped = db.prepare(`
+      SELECT id FROM seasons WHERE status = 'scheduled' AND ends_at <= datetime('now')
+    `).all();
+    const skip = db.prepare(`UPDATE seasons SET status = 'skipped', ended_at = datetime('now') WHERE id = ?`);
+    skipped.forEach((season) => skip.run(season.id));
+
+    const starting = db.prepare(`
+      SELECT * FROM seasons WHERE status = 'scheduled' AND starts_at <= datetime('now')
+      ORDER BY starts_at ASC LIMIT 1
+    `).get();
+    if (starting && !db.prepare("SELECT id FROM seasons WHERE status = 'active'").get()) {
+      startSeason(starting);
+    }
+    return {
+      ended: ended.map((season) => season.id),
+      skipped: skipped.map((season) => season.id),
+      started: starting ? starting.id : null,
+    };
+  });
+  return txn();
+}
+
 // Atomic spin: read balance, validate, compute result, write — all in one transaction.
 // SQLite serializes transactions so concurrent spins on the same player are sequenced.
+// spinFn receives the player, their active provably fair seed for this spin and the
+// jackpot pools keyed by currency name.
 export function atomicSpin(address, spinFn) {
   const txn = db.transaction(() => {
     const row = db.prepare('SELECT * FROM players WHERE eth_address = ?').get(address);
     if (!row) return { error: 'Player not found' };
     const player = serializePlayer(row);
+    const account = db.prepare('SELECT banned_at FROM accounts WHERE id = ?').get(player.account_id);
+    if (account?.banned_at) return { error: 'Account is banned' };
 
-    const result = spinFn(player);
+    const seedRow = getActiveSeedRow(player.id);
+    const seed = {
+      serverSeed: seedRow.server_seed,
+      serverSeedHash: seedRow.server_seed_hash,
+      clientSeed: seedRow.client_seed,
+      nonce: seedRow.nonce,
+    };
+
+    const result = spinFn(player, seed, getJackpotPools());
     if (!result) return { error: 'Insufficient balance' };
 
     // Atomic balance update with guard: balance must still be >= bet amount
+    const currency = result.spin.currency;
     const changed = db.prepare(`
-      UPDATE players
-      SET balance_wwxrp = ?, activity_score_bps = ?, updated_at = datetime('now')
-      WHERE eth_address = ? AND balance_wwxrp >= ?
+      UPDATE player_balances
+      SET balance = ?, updated_at = datetime('now')
+      WHERE player_id = ? AND currency = ? AND balance >= ?
     `).run(
-      result.player.balance_wwxrp,
-      result.player.activity_score_bps,
-      address,
+      result.player.balances[CURRENCY_NAMES[currency]],
+      player.id,
+      currency,
       result.spin.totalBet
     );
 
     if (changed.changes === 0) return { error: 'Balance changed, try again' };
 
-    const latest = result.spin.results?.[result.spin.results.length - 1];
-    const matches = latest?.matches ?? 0;
-    const playerTicket = JSON.stringify(latest?.playerTicket ?? {});
-    const houseTicket = JSON.stringify(latest?.resultTicket ?? {});
     db.prepare(`
-      INSERT INTO spins (player_id, bet_amount, payout, net, matches, player_ticket, house_ticket)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `).run(player.id, result.spin.totalBet, result.spin.totalPayout, result.spin.netResult, matches, playerTicket, houseTicket);
+      UPDATE players SET activity_score_bps = ?, updated_at = datetime('now') WHERE id = ?
+    `).run(result.player.activity_score_bps, player.id);
+
+    // One spins row per ticket so history and stats stay per-ticket.
+    const insertSpin = db.prepare(`
+      INSERT INTO spins (player_id, bet_amount, payout, net, matches, player_ticket, house_ticket,
+                         seed_id, server_seed_hash, client_seed, nonce, currency, lootbox)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const betAmount = result.spin.amountPerTicket;
+    // Referral codes of any linked wallet pay out to the account's primary wallet.
+    const affiliate = player.referrer_code ? getAccountPrimaryByReferralCode(player.referrer_code) : null;
+    let rakeback = 0;
+    const spinIds = [];
+    for (const ticketResult of result.spin.results) {
+      const spinRow = insertSpin.run(
+        player.id, betAmount, ticketResult.totalPayout, ticketResult.totalPayout - betAmount, ticketResult.matches,
+        JSON.stringify(ticketResult.playerTicket), JSON.stringify(ticketResult.resultTicket),
+        seedRow.id, seedRow.server_seed_hash, seedRow.client_seed, ticketResult.nonce, currency,
+        ticketResult.lootboxPrize ? JSON.stringify(ticketResult.lootboxPrize) : null
+      );
+      spinIds.push(Number(spinRow.lastInsertRowid));
+      if (ticketResult.jackpotPrize > 0) {
+        db.prepare(`
+          INSERT INTO jackpot_wins (spin_id, player_id, currency, amount) VALUES (?, ?, ?, ?)
+        `).run(spinRow.lastInsertRowid, player.id, currency, ticketResult.jackpotPrize);
+      }
+      if (affiliate && affiliate.account_id !== player.account_id) {
+        rakeback += creditAffiliate(player, affiliate, spinRow.lastInsertRowid, betAmount, ticketResult.roiBps, currency);
+      }
+    }
+    db.prepare('UPDATE player_seeds SET nonce = nonce + ? WHERE id = ?').run(result.spin.results.length, seedRow.id);
+    if (result.spin.jackpotPool !== null) {
+      db.prepare(`
+        UPDATE jackpot_pools SET balance = ?, updated_at = datetime('now') WHERE currency = ?
+      `).run(result.spin.jackpotPool, currency);
+    }
 
     const updated = serializePlayer(
       db.prepare('SELECT * FROM players WHERE eth_address = ?').get(address)
     );
-    return { ok: true, player: updated, spin: result.spin };
+    return { ok: true, player: updated, spin: result.spin, rakeback, spinIds };
   });
 
   return txn();
@@ -315,7 +1611,8 @@ export function setReferrerCode(address, referrerCode) {
   const normalized = referrerCode.trim().toUpperCase();
   if (!normalized) return;
   const referrer = getPlayerByReferralCode(normalized);
-  if (!referrer || referrer.eth_address === address) return;
+  const player = getPlayerByAddress(address);
+  if (!referrer || !player || referrer.account_id === player.account_id) return;
   db.prepare(`
     UPDATE players
     SET referrer_code = ?, updated_at = datetime('now')
@@ -327,39 +1624,85 @@ export function setReferrerCode(address, referrerCode) {
 
 const MAX_AGENT_REGISTRATIONS = 400;
 
-const _agentRegCount = db.prepare('SELECT COUNT(*) as cnt FROM agent_registrations');
+// Registrations hold one of the slots ('active') or queue for one: 'waitlisted'
+// if they never had a slot, 'bumped' if they lost theirs. Slots go to the top
+// MAX_AGENT_REGISTRATIONS by priority; exported codes are already on-chain, so
+// they keep theirs.
+const AGENT_PRIORITY_ORDER = 'exported DESC, verified_pledge_eth DESC, created_at ASC, id ASC';
+
 const _agentRegInsert = db.prepare(`
-  INSERT INTO agent_registrations (address, code, rakeback_pct, pledge_eth, message, signature, referrer, timestamp)
-  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  INSERT INTO agent_registrations (address, code, rakeback_pct, pledge_eth, message, typed_data, signature, referrer, timestamp, status)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'waitlisted')
 `);
-const _agentRegNewestNoPledge = db.prepare(`
-  SELECT id, code FROM agent_registrations WHERE pledge_eth = 0 ORDER BY created_at DESC LIMIT 1
+const _agentRegByPriority = db.prepare(`SELECT id, code, status FROM agent_registrations ORDER BY ${AGENT_PRIORITY_ORDER}`);
+const _agentRegSetStatus = db.prepare(`
+  UPDATE agent_registrations SET status = ?, status_changed_at = datetime('now') WHERE id = ?
 `);
-const _agentRegDelete = db.prepare('DELETE FROM agent_registrations WHERE id = ?');
-
-export function registerAgent({ address, code, rakebackPct, pledgeEth, message, signature, referrer, timestamp }) {
-  const count = _agentRegCount.get().cnt;
-  let bumped = null;
-
-  if (count >= MAX_AGENT_REGISTRATIONS) {
-    if (pledgeEth > 0) {
-      const victim = _agentRegNewestNoPledge.get();
-      if (victim) {
-        _agentRegDelete.run(victim.id);
-        bumped = victim.code;
-      } else {
-        return { error: 'Registration is full. All ' + MAX_AGENT_REGISTRATIONS + ' slots are held by pledged registrations.' };
-      }
-    } else {
-      return { error: 'Registration is full (' + MAX_AGENT_REGISTRATIONS + ' slots). Add an ETH pledge to bump a non-pledged registration.' };
+const _agentPledgeInsert = db.prepare(`
+  INSERT INTO agent_pledges (address, tx_hash, amount_eth, block_number) VALUES (?, ?, ?, ?)
+`);
+const _agentRegSyncPledge = db.prepare(`
+  UPDATE agent_registrations
+  SET verified_pledge_eth = (SELECT COALESCE(SUM(amount_eth), 0) FROM agent_pledges WHERE address = ?)
+  WHERE address = ?
+`);
+const _agentDigestInsert = db.prepare(`
+  INSERT INTO agent_signature_digests (digest, address, action) VALUES (?, ?, ?)
+`);
+
+// Re-assigns slots by priority: promotes from the queue as slots free up and
+// bumps the lowest active registrations when a higher one arrives. Returns the
+// codes whose status changed, by new status.
+function rebalanceAgentSlots() {
+  const changed = { active: [], bumped: [] };
+  _agentRegByPriority.all().forEach((row, idx) => {
+    let status = row.status;
+    if (idx < MAX_AGENT_REGISTRATIONS) status = 'active';
+    else if (row.status === 'active') status = 'bumped';
+    if (status === row.status) return;
+    _agentRegSetStatus.run(status, row.id);
+    changed[status].push(row.code);
+  });
+  return changed;
+}
+
+db.transaction(rebalanceAgentSlots)();
+
+function isUniqueViolation(err) {
+  return err.code === 'SQLITE_CONSTRAINT_UNIQUE' || err.message?.includes('UNIQUE constraint failed')
+    || err.code === 'SQLITE_CONSTRAINT_PRIMARYKEY';
+}
+
+// `pledge` is an on-chain verified transfer ({ txHash, amountEth, blockNumber })
+// or null. Only verified pledges raise priority; without one a registration made
+// while the slots are full joins the waitlist.
+export function registerAgent({ address, code, rakebackPct, pledgeEth, message, typedData, signature, referrer, timestamp, pledge = null }) {
+  const txn = db.transaction(() => {
+    _agentDigestInsert.run(message, address, 'register');
+    _agentRegInsert.run(
+      address, code, rakebackPct, pledgeEth, message, typedData ? JSON.stringify(typedData) : null, signature,
+      referrer || null, timestamp
+    );
+    if (pledge) {
+      _agentPledgeInsert.run(address, pledge.txHash, pledge.amountEth, pledge.blockNumber);
     }
-  }
+    // Pledges from an earlier, withdrawn registration count again.
+    _agentRegSyncPledge.run(address, address);
+    const changed = rebalanceAgentSlots();
+    const { status, verifiedPledgeEth } = getAgentStatus(address);
+    return { ok: true, code, status, bumped: changed.bumped[0] ?? null, verifiedPledgeEth };
+  });
 
   try {
-    _agentRegInsert.run(address, code, rakebackPct, pledgeEth, message, signature, referrer || null, timestamp);
-    return { ok: true, code, bumped };
+    return txn();
   } catch (err) {
-    if (err.code === 'SQLITE_CONSTRAINT_UNIQUE' || err.message?.includes('UNIQUE constraint failed')) {
+    if (isUniqueViolation(err)) {
+      if (err.message.includes('tx_hash')) {
+        return { error: 'This pledge transaction has already been used.' };
+      }
+      if (err.message.includes('digest')) {
+        return { error: 'This signature has already been used.' };
+      }
       if (err.message.includes('address')) {
         return { error: 'This wallet has already registered a code.' };
       }
@@ -372,6 +1715,164 @@ export function registerAgent({ address, code, rakebackPct, pledgeEth, message,
   }
 }
 
+// Adds a verified pledge transaction to an existing registration, which may
+// move it up into a slot.
+export function recordAgentPledge({ address, txHash, amountEth, blockNumber }) {
+  const txn = db.transaction(() => {
+    const registration = db.prepare('SELECT id FROM agent_registrations WHERE address = ?').get(address);
+    if (!registration) return { error: 'No registration for this wallet.' };
+    _agentPledgeInsert.run(address, txHash, amountEth, blockNumber);
+    _agentRegSyncPledge.run(address, address);
+    const changed = rebalanceAgentSlots();
+    return { ok: true, bumped: changed.bumped[0] ?? null, ...getAgentStatus(address) };
+  });
+
+  try {
+    return txn();
+  } catch (err) {
+    if (isUniqueViolation(err)) return { error: 'This pledge transaction has already been used.' };
+    throw err;
+  }
+}
+
+// Checks shared by signed updates and withdrawals. The signature must be newer
+// than the one the registration was last saved with, and is recorded so it
+// can't be used again.
+function checkAgentChange(row, { address, code, timestamp, digest }, action) {
+  if (!row) return 'No registration for this wallet.';
+  if (row.exported) return 'This registration has already been exported on-chain.';
+  if (row.code !== code) return 'Code does not match the registration.';
+  if (Number(timestamp) <= Number(row.timestamp)) return 'Signature is older than the current registration.';
+  _agentDigestInsert.run(digest, address, action);
+  return null;
+}
+
+// Replaces rakeback and the signed pledge with a newer signed registration.
+// Code and referrer stay fixed and the pledge can only go up.
+export function updateAgentRegistration({ address, code, rakebackPct, pledgeEth, referrer, message, typedData, signature, timestamp }) {
+  const txn = db.transaction(() => {
+    const row = db.prepare('SELECT * FROM agent_registrations WHERE address = ?').get(address);
+    if (row && (row.referrer || null) !== (referrer || null)) return { error: 'Referrer cannot be changed.' };
+    if (row && pledgeEth < row.pledge_eth) return { error: 'Pledge can only be raised.' };
+    const invalid = checkAgentChange(row, { address, code, timestamp, digest: message }, 'update');
+    if (invalid) return { error: invalid };
+    db.prepare(`
+      UPDATE agent_registrations
+      SET rakeback_pct = ?, pledge_eth = ?, message = ?, typed_data = ?, signature = ?, timestamp = ?
+      WHERE id = ?
+    `).run(rakebackPct, pledgeEth, message, JSON.stringify(typedData), signature, timestamp, row.id);
+    return { ok: true, ...getAgentStatus(address) };
+  });
+
+  try {
+    return txn();
+  } catch (err) {
+    if (isUniqueViolation(err)) return { error: 'This signature has already been used.' };
+    throw err;
+  }
+}
+
+// Deletes a registration that has not been exported, freeing its slot (and
+// code) for the queue. Verified pledges stay on record for the wallet.
+export function withdrawAgentRegistration({ address, code, timestamp, digest }) {
+  const txn = db.transaction(() => {
+    const row = db.prepare('SELECT * FROM agent_registrations WHERE address = ?').get(address);
+    const invalid = checkAgentChange(row, { address, code, timestamp, digest }, 'withdraw');
+    if (invalid) return { error: invalid };
+    db.prepare('DELETE FROM agent_registrations WHERE id = ?').run(row.id);
+    const changed = rebalanceAgentSlots();
+    return { ok: true, code, promoted: changed.active };
+  });
+
+  try {
+    return txn();
+  } catch (err) {
+    if (isUniqueViolation(err)) return { error: 'This signature has already been used.' };
+    throw err;
+  }
+}
+
+// Registrations as a forest linked by `referrer` codes. Each node carries its
+// downstream count and verified pledge total. Referrers that aren't registered
+// (or referral loops) make a node a root.
+export function getAgentReferralTree() {
+  const rows = db.prepare(`SELECT * FROM agent_registrations ORDER BY ${AGENT_PRIORITY_ORDER}`).all();
+  const nodes = new Map(rows.map((row) => [row.code, {
+    code: row.code,
+    referrer: row.referrer,
+    status: row.status,
+    rakebackPct: row.rakeback_pct,
+    verifiedPledgeEth: row.verified_pledge_eth,
+    downstreamCount: 0,
+    downstreamPledgeEth: 0,
+    children: [],
+  }]));
+
+  const referred = new Map();
+  for (const node of nodes.values()) {
+    if (node.referrer) referred.set(node.referrer, [...(referred.get(node.referrer) ?? []), node]);
+  }
+  const roots = [];
+  const attached = new Set();
+  const attach = (node) => {
+    attached.add(node.code);
+    for (const child of referred.get(node.code) ?? []) {
+      if (attached.has(child.code)) continue;
+      node.children.push(child);
+      attach(child);
+    }
+  };
+  for (const node of nodes.values()) {
+    if (!node.referrer || !nodes.has(node.referrer) || node.referrer === node.code) {
+      roots.push(node);
+      attach(node);
+    }
+  }
+  // Whatever is left only refers within a loop; break it at the top-priority member.
+  for (const node of nodes.values()) {
+    if (attached.has(node.code)) continue;
+    roots.push(node);
+    attach(node);
+  }
+
+  const total = (node) => {
+    for (const child of node.children) {
+      total(child);
+      node.downstreamCount += 1 + child.downstreamCount;
+      node.downstreamPledgeEth += child.verifiedPledgeEth + child.downstreamPledgeEth;
+    }
+  };
+  roots.forEach(total);
+  return roots;
+}
+
+// Where a registration stands. `position` is its 1-based place among active
+// registrations, or in the queue for waitlisted and bumped ones.
+export function getAgentStatus(address) {
+  const row = db.prepare('SELECT * FROM agent_registrations WHERE address = ?').get(address);
+  if (!row) return null;
+  const ids = _agentRegByPriority.all().map((r) => r.id);
+  const rank = ids.indexOf(row.id) + 1;
+  const queued = Math.max(ids.length - MAX_AGENT_REGISTRATIONS, 0);
+  // A queued registration takes a slot once its verified pledge exceeds this.
+  const lowestActive = row.status === 'active' ? null : db.prepare(`
+    SELECT verified_pledge_eth FROM agent_registrations WHERE status = 'active' AND exported = 0
+    ORDER BY verified_pledge_eth ASC LIMIT 1
+  `).get();
+  return {
+    code: row.code,
+    status: row.status,
+    position: row.status === 'active' ? rank : rank - MAX_AGENT_REGISTRATIONS,
+    slots: MAX_AGENT_REGISTRATIONS,
+    active: ids.length - queued,
+    queued,
+    verifiedPledgeEth: row.verified_pledge_eth,
+    pledgeToBeatEth: lowestActive ? lowestActive.verified_pledge_eth : null,
+    statusChangedAt: row.status_changed_at,
+    registeredAt: row.created_at,
+  };
+}
+
 export function getAgentRegistrations({ exportedOnly = false } = {}) {
   const where = exportedOnly ? 'WHERE exported = 0' : '';
   return db.prepare('SELECT * FROM agent_registrations ' + where + ' ORDER BY created_at ASC').all();
@@ -383,12 +1884,128 @@ export function markAgentRegistrationsExported(ids) {
 }
 
 export function recordSpin(playerId, spin) {
-  const latest = spin.results?.[spin.results.length - 1];
-  const matches = latest?.matches ?? 0;
-  const playerTicket = JSON.stringify(latest?.playerTicket ?? {});
-  const houseTicket = JSON.stringify(latest?.resultTicket ?? {});
-  db.prepare(`
-    INSERT INTO spins (player_id, bet_amount, payout, net, matches, player_ticket, house_ticket)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `).run(playerId, spin.totalBet, spin.totalPayout, spin.netResult, matches, playerTicket, houseTicket);
+  const insertSpin = db.prepare(`
+    INSERT INTO spins (player_id, bet_amount, payout, net, matches, player_ticket, house_ticket, nonce, currency)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  for (const result of spin.results ?? []) {
+    insertSpin.run(
+      playerId, spin.amountPerTicket, result.totalPayout, result.totalPayout - spin.amountPerTicket, result.matches,
+      JSON.stringify(result.playerTicket), JSON.stringify(result.resultTicket), result.nonce ?? null,
+      spin.currency ?? CURRENCY_WWXRP
+    );
+  }
+}
+
+// --- Admin ---
+
+// `admin` is { address, role } of the signed-in admin. Every change is written
+// to admin_actions in the same transaction, so nothing changes without a record.
+const _adminActionInsert = db.prepare(`
+  INSERT INTO admin_actions (admin_address, role, action, target, reason, details) VALUES (?, ?, ?, ?, ?, ?)
+`);
+
+function recordAdminAction(admin, { action, target, reason, details = null }) {
+  _adminActionInsert.run(admin.address, admin.role, action, target, reason, details ? JSON.stringify(details) : null);
+}
+
+// Wallets matching an address fragment, Discord id or name, or referral code.
+export function searchPlayers(query, limit = 25) {
+  const like = `%${query.replace(/[\\%_]/g, '\\$&')}%`;
+  return db.prepare(`
+    SELECT p.eth_address, p.account_id, pp.eth_address AS primary_address, a.discord_id, a.discord_name,
+           p.referral_code, a.banned_at, p.created_at
+    FROM players p
+    INNER JOIN accounts a ON a.id = p.account_id
+    INNER JOIN players pp ON pp.id = a.primary_player_id
+    WHERE p.eth_address LIKE ? ESCAPE '\\' OR a.discord_name LIKE ? ESCAPE '\\'
+       OR a.discord_id = ? OR p.referral_code = UPPER(?)
+    ORDER BY p.updated_at DESC
+    LIMIT ?
+  `).all(like.toLowerCase(), like, query, query, limit);
+}
+
+// Credits (or debits, with a negative delta) the account's primary wallet.
+export function adjustPlayerBalance(admin, address, { currency, delta, reason }) {
+  const txn = db.transaction(() => {
+    const primary = getAccountAddress(address);
+    const player = primary ? getPlayerByAddress(primary) : null;
+    if (!player) return { error: 'Player not found' };
+    const name = CURRENCY_NAMES[currency];
+    const from = player.balances[name] ?? 0;
+    const to = from + delta;
+    if (to < 0) return { error: `${name} balance would go negative (${from})` };
+    creditBalance(player.id, currency, delta);
+    recordAdminAction(admin, {
+      action: 'balance', target: primary, reason, details: { currency: name, delta, from, to },
+    });
+    return { ok: true, player: getPlayerByAddress(primary) };
+  });
+  return txn();
+}
+
+// Bans or unbans the whole account `address` belongs to.
+export function setAccountBan(admin, address, { banned, reason }) {
+  const txn = db.transaction(() => {
+    const account = getAccount(address);
+    if (!account) return { error: 'Player not found' };
+    if (banned === Boolean(account.banned_at)) {
+      return { error: banned ? 'Account is already banned' : 'Account is not banned' };
+    }
+    db.prepare(`
+      UPDATE accounts SET banned_at = ${banned ? "datetime('now')" : 'NULL'}, ban_reason = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(banned ? reason : null, account.id);
+    recordAdminAction(admin, {
+      action: banned ? 'ban' : 'unban', target: account.primary_address, reason, details: { accountId: account.id, wallet: address },
+    });
+    return { ok: true, account: getAccount(address) };
+  });
+  return txn();
+}
+
+// Lets the account set its affiliate code and rakeback once more. The current
+// code stays in place until it does.
+export function unlockAffiliate(admin, address, { reason }) {
+  const txn = db.transaction(() => {
+    const primary = getAccountAddress(address);
+    const player = primary ? getPlayerByAddress(primary) : null;
+    if (!player) return { error: 'Player not found' };
+    if (!player.referral_locked) return { error: 'Affiliate settings are not locked' };
+    db.prepare(`
+      UPDATE players SET referral_locked = 0, updated_at = datetime('now') WHERE id = ?
+    `).run(player.id);
+    recordAdminAction(admin, {
+      action: 'unlock_affiliate', target: primary, reason,
+      details: { code: player.referral_code, rakebackBps: player.affiliate_rakeback_bps },
+    });
+    return { ok: true, player: getPlayerByAddress(primary) };
+  });
+  return txn();
+}
+
+// Deletes an unexported agent registration and promotes from the queue. The
+// stored row goes into the audit details so it can be restored by hand.
+export function removeAgentRegistration(admin, address, { reason }) {
+  const txn = db.transaction(() => {
+    const row = db.prepare('SELECT * FROM agent_registrations WHERE address = ?').get(address);
+    if (!row) return { error: 'No registration for this wallet.' };
+    if (row.exported) return { error: 'This registration has already been exported on-chain.' };
+    db.prepare('DELETE FROM agent_registrations WHERE id = ?').run(row.id);
+    const changed = rebalanceAgentSlots();
+    recordAdminAction(admin, { action: 'remove_agent', target: address, reason, details: { registration: row } });
+    return { ok: true, code: row.code, promoted: changed.active };
+  });
+  return txn();
+}
+
+// Newest first; `target` filters to one wallet, `before` pages by id.
+export function getAdminActions({ target = null, before = null, limit = 100 } = {}) {
+  const rows = db.prepare(`
+    SELECT * FROM admin_actions
+    WHERE (? IS NULL OR target = ?) AND (? IS NULL OR id < ?)
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(target, target, before, before, limit);
+  return rows.map((row) => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
 }
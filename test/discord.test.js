@@ -0,0 +1,148 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+// discord.js pulls in storage.js, which opens DATABASE_PATH on import.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'degenerette-discord-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.sqlite');
+const { createDiscordClient, createOutboundQueue, createSpinAnnouncer } = await import('../discord.js');
+
+// Local stand-in for the Discord REST API. `replies` is consumed one per request;
+// once it runs out every request gets a 200.
+let server;
+let apiBase;
+let requests = [];
+let replies = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, auth: req.headers.authorization, body: body ? JSON.parse(body) : null });
+      const { status = 200, json = { id: String(requests.length) } } = replies.shift() ?? {};
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  apiBase = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function reset(nextReplies = []) {
+  requests = [];
+  replies = nextReplies;
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for the fake Discord API');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+const ticket = (color, symbol) => ({ traits: [0, 1, 2, 3].map((quadrant) => ({ quadrant, color, symbol })) });
+
+function spinResult(results) {
+  return {
+    player: { eth_address: '0x1234567890abcdef1234567890abcdef12345678', discord_name: 'Tess', discord_avatar: 'https://cdn/avatar.png' },
+    spin: { amountPerTicket: 10, currency: 3, results },
+    spinIds: results.map((_, idx) => 100 + idx),
+  };
+}
+
+function ticketResult(matches, totalPayout) {
+  return { matches, totalPayout, playerTicket: ticket(1, 2), resultTicket: ticket(3, 4), math: '10 | Bet' };
+}
+
+test('client posts messages with the bot token', async () => {
+  reset();
+  const client = createDiscordClient({ token: 'secret', apiBase });
+  await client.sendMessage('42', { content: 'hi' });
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].method, 'POST');
+  assert.equal(requests[0].url, '/channels/42/messages');
+  assert.equal(requests[0].auth, 'Bot secret');
+  assert.deepEqual(requests[0].body, { content: 'hi' });
+});
+
+test('client marks 5xx and 429 retryable and 4xx not', async () => {
+  const client = createDiscordClient({ token: 't', apiBase });
+  reset([{ status: 503, json: {} }, { status: 429, json: { retry_after: 0.25 } }, { status: 403, json: { message: 'Missing Access' } }]);
+  await assert.rejects(client.sendMessage('1', {}), { status: 503, retryable: true });
+  await assert.rejects(client.sendMessage('1', {}), { status: 429, retryable: true, retryAfterMs: 250 });
+  await assert.rejects(client.sendMessage('1', {}), { status: 403, retryable: false, message: /Missing Access/ });
+});
+
+test('fetchImpl replaces the HTTP transport', async () => {
+  const calls = [];
+  const client = createDiscordClient({
+    token: 't',
+    apiBase: 'https://discord.invalid/api',
+    fetchImpl: async (url, init) => {
+      calls.push({ url, method: init.method });
+      return { ok: true, status: 204 };
+    },
+  });
+  assert.equal(await client.addRole('g', 'u', 'r'), null);
+  assert.deepEqual(calls, [{ url: 'https://discord.invalid/api/guilds/g/members/u/roles/r', method: 'PUT' }]);
+});
+
+test('queue retries outages until Discord answers', async () => {
+  reset([{ status: 500, json: {} }, { status: 502, json: {} }]);
+  const client = createDiscordClient({ token: 't', apiBase });
+  const queue = createOutboundQueue({ baseDelayMs: 1 });
+  assert.equal(queue.push('job', () => client.sendMessage('1', { content: 'x' })), true);
+  await waitFor(() => queue.size === 0);
+  assert.equal(requests.length, 3);
+});
+
+test('queue drops client errors without retrying', async () => {
+  reset([{ status: 400, json: {} }]);
+  const client = createDiscordClient({ token: 't', apiBase });
+  const queue = createOutboundQueue({ baseDelayMs: 1 });
+  queue.push('bad job', () => client.sendMessage('1', {}));
+  await waitFor(() => queue.size === 0);
+  assert.equal(requests.length, 1);
+});
+
+test('queue refuses jobs once full', () => {
+  const queue = createOutboundQueue({ maxSize: 1 });
+  assert.equal(queue.push('slow', () => new Promise(() => {})), true);
+  assert.equal(queue.push('overflow', async () => {}), false);
+});
+
+test('announcer posts big wins and jackpots only', async () => {
+  reset();
+  const client = createDiscordClient({ token: 't', apiBase });
+  const queue = createOutboundQueue({ baseDelayMs: 1 });
+  const announce = createSpinAnnouncer({ client, queue, channelId: '77', minMultiplier: 50 });
+
+  announce(spinResult([ticketResult(3, 20), ticketResult(7, 600), ticketResult(8, 5)]));
+  await waitFor(() => requests.length === 2 && queue.size === 0);
+
+  const [win, jackpot] = requests.map((request) => request.body.embeds[0]);
+  assert.ok(requests.every((request) => request.url === '/channels/77/messages'));
+  assert.equal(win.title, 'x60 win');
+  assert.equal(win.footer.text, 'Spin #101');
+  assert.deepEqual(win.author, { name: 'Tess', icon_url: 'https://cdn/avatar.png' });
+  assert.deepEqual(win.fields.find((field) => field.name === 'Ticket').value, '`1-2,1-2,1-2,1-2`');
+  assert.deepEqual(win.fields.find((field) => field.name === 'Result').value, '`3-4,3-4,3-4,3-4`');
+  assert.match(win.fields.find((field) => field.name === 'Math').value, /10 \| Bet/);
+  assert.equal(jackpot.title, 'JACKPOT! 8 matches');
+  assert.deepEqual(requests[0].body.allowed_mentions, { parse: [] });
+});
+
+test('announcer is a no-op without a channel', () => {
+  const announce = createSpinAnnouncer({ client: null, queue: null, channelId: null, minMultiplier: 50 });
+  assert.doesNotThrow(() => announce(spinResult([ticketResult(8, 1000)])));
+});
@@ -0,0 +1,106 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// interactions.js pulls in storage.js, which opens DATABASE_PATH on import.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'degenerette-interactions-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.sqlite');
+const { createDiscordPublicKey, verifyDiscordRequest, createInteractionHandler } = await import('../interactions.js');
+const { getOrCreatePlayer, updatePlayerDiscord } = await import('../storage.js');
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Stand-in for Discord's application key: sign like Discord does and hand the
+// handler the raw 32-byte public key, as the developer portal shows it.
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const publicKeyHex = publicKey.export({ format: 'der', type: 'spki' }).subarray(12).toString('hex');
+
+function signedRequest(body, timestamp = String(Math.floor(Date.now() / 1000))) {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const signature = crypto.sign(null, Buffer.concat([Buffer.from(timestamp), rawBody]), privateKey).toString('hex');
+  return { signature, timestamp, rawBody };
+}
+
+const command = (name, user, options = []) => ({ type: 2, data: { name, options }, member: { user } });
+
+test('verifyDiscordRequest accepts requests signed with the application key', () => {
+  const key = createDiscordPublicKey(publicKeyHex);
+  assert.equal(verifyDiscordRequest(key, signedRequest({ type: 1 })), true);
+});
+
+test('verifyDiscordRequest rejects tampered, stale and unsigned requests', () => {
+  const key = createDiscordPublicKey(publicKeyHex);
+  const tampered = signedRequest({ type: 1 });
+  tampered.rawBody = Buffer.from(JSON.stringify({ type: 2 }));
+  assert.equal(verifyDiscordRequest(key, tampered), false);
+
+  const stale = signedRequest({ type: 1 }, String(Math.floor(Date.now() / 1000) - 600));
+  assert.equal(verifyDiscordRequest(key, stale), false);
+
+  assert.equal(verifyDiscordRequest(key, { ...signedRequest({ type: 1 }), signature: 'zz' }), false);
+  assert.equal(verifyDiscordRequest(key, { ...signedRequest({ type: 1 }), signature: undefined }), false);
+});
+
+test('handler answers pings and unknown commands', () => {
+  const handle = createInteractionHandler({ playSpin: () => assert.fail('no spin expected'), leaderboardWindow: () => ({}) });
+  assert.deepEqual(handle({ type: 1 }), { type: 1 });
+  assert.equal(handle(command('nope', { id: '1' })).data.content, 'Unknown command.');
+});
+
+test('handler asks unlinked users to connect Discord first', () => {
+  const handle = createInteractionHandler({ playSpin: () => assert.fail('no spin expected'), leaderboardWindow: () => ({}) });
+  const response = handle(command('balance', { id: 'unlinked' }));
+  assert.equal(response.type, 4);
+  assert.match(response.data.content, /No wallet is linked/);
+  assert.equal(response.data.flags, 64);
+});
+
+test('/spin plays through playSpin for the linked wallet and enforces the cooldown', () => {
+  const address = '0x00000000000000000000000000000000000000a1';
+  getOrCreatePlayer(address);
+  updatePlayerDiscord(address, { id: 'discord-1', username: 'tess', avatarUrl: null });
+
+  const calls = [];
+  const ticket = { traits: [0, 1, 2, 3].map((quadrant) => ({ quadrant, color: 0, symbol: 7 })) };
+  const handle = createInteractionHandler({
+    leaderboardWindow: () => ({}),
+    playSpin(spinAddress, request) {
+      calls.push({ spinAddress, request });
+      return {
+        player: { balances: { WWXRP: 990 } },
+        spin: { results: [{ matches: 2, totalPayout: 0, playerTicket: request.tickets[0], resultTicket: ticket, math: '10 | Bet' }] },
+      };
+    },
+  });
+
+  const user = { id: 'discord-1', username: 'tess' };
+  const response = handle(command('spin', user, [{ name: 'amount', value: 10 }, { name: 'ticket', value: '0-7,0-7,0-7,0-7' }]));
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].spinAddress, address);
+  assert.equal(calls[0].request.amount, 10);
+  assert.deepEqual(calls[0].request.tickets, [ticket]);
+  assert.equal(response.data.flags, 0);
+  assert.match(response.data.embeds[0].title, /^2 matches/);
+  assert.equal(response.data.embeds[0].author.name, 'tess');
+
+  assert.equal(handle(command('spin', user, [{ name: 'amount', value: 10 }])).data.content, 'Slow down a little.');
+  assert.equal(calls.length, 1);
+});
+
+test('/spin rejects malformed tickets before spinning', () => {
+  const address = '0x00000000000000000000000000000000000000a2';
+  getOrCreatePlayer(address);
+  updatePlayerDiscord(address, { id: 'discord-2', username: 'sam', avatarUrl: null });
+  const handle = createInteractionHandler({ playSpin: () => assert.fail('no spin expected'), leaderboardWindow: () => ({}) });
+  const response = handle(command('spin', { id: 'discord-2' }, [{ name: 'amount', value: 10 }, { name: 'ticket', value: '8-8' }]));
+  assert.match(response.data.content, /^Ticket must look like/);
+});
+
+test('/leaderboard works without a linked wallet', () => {
+  const handle = createInteractionHandler({ playSpin: () => assert.fail('no spin expected'), leaderboardWindow: () => ({}) });
+  const response = handle(command('leaderboard', { id: 'unlinked' }, [{ name: 'metric', value: 'balance' }, { name: 'window', value: 'day' }]));
+  assert.equal(response.data.content, 'Balance is only ranked all-time.');
+});
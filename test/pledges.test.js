@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEther } from 'ethers';
+import { createPledgeVerifier } from '../pledges.js';
+
+const AGENT = '0xabcdefabcdefabcdefabcdefabcdefabcdefabcd';
+const PLEDGE_ADDRESS = '0x2222222222222222222222222222222222222222';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+// Stand-in for the RPC provider: one pledge transaction mined at block 100.
+function fakeProvider({ tx = {}, receipt = {}, head = 102 } = {}) {
+  return {
+    getTransaction: async () => tx && { from: AGENT, to: PLEDGE_ADDRESS, value: parseEther('0.5'), ...tx },
+    getTransactionReceipt: async () => receipt && { status: 1, blockNumber: 100, ...receipt },
+    getBlockNumber: async () => head,
+  };
+}
+
+const verifierFor = (provider, options = {}) =>
+  createPledgeVerifier({ provider, recipient: PLEDGE_ADDRESS, minConfirmations: 3, ...options });
+
+test('accepts a confirmed transfer to the pledge address', async () => {
+  const result = await verifierFor(fakeProvider()).verifyPledge(TX_HASH, AGENT);
+  assert.deepEqual(result, { ok: true, from: AGENT, amountEth: 0.5, blockNumber: 100 });
+});
+
+test('compares addresses regardless of checksum casing', async () => {
+  const provider = fakeProvider({ tx: { from: AGENT.toUpperCase().replace('0X', '0x') } });
+  const result = await verifierFor(provider).verifyPledge(TX_HASH, AGENT);
+  assert.equal(result.ok, true);
+  assert.equal(result.from, AGENT);
+});
+
+test('is disabled without a provider or recipient', async () => {
+  for (const verifier of [createPledgeVerifier({ recipient: PLEDGE_ADDRESS }), createPledgeVerifier({ provider: fakeProvider() })]) {
+    assert.equal(verifier.enabled, false);
+    assert.deepEqual(await verifier.verifyPledge(TX_HASH, AGENT), { error: 'Pledges are not enabled.' });
+  }
+  assert.equal(verifierFor(fakeProvider()).enabled, true);
+});
+
+test('reports unknown and unmined transactions', async () => {
+  assert.deepEqual(
+    await verifierFor(fakeProvider({ tx: null, receipt: null })).verifyPledge(TX_HASH, AGENT),
+    { error: 'Pledge transaction not found.' }
+  );
+  assert.deepEqual(
+    await verifierFor(fakeProvider({ receipt: null })).verifyPledge(TX_HASH, AGENT),
+    { error: 'Pledge transaction is not mined yet.', pending: true }
+  );
+});
+
+test('waits for the configured confirmations', async () => {
+  assert.deepEqual(
+    await verifierFor(fakeProvider({ head: 101 })).verifyPledge(TX_HASH, AGENT),
+    { error: 'Pledge has 2/3 confirmations, try again shortly.', pending: true }
+  );
+  const result = await verifierFor(fakeProvider({ head: 101 }), { minConfirmations: 2 }).verifyPledge(TX_HASH, AGENT);
+  assert.equal(result.ok, true);
+});
+
+test('rejects reverted, misdirected, foreign and empty transfers', async () => {
+  const cases = [
+    [{ receipt: { status: 0 } }, 'Pledge transaction reverted.'],
+    [{ tx: { to: '0x3333333333333333333333333333333333333333' } }, 'Pledge was not sent to the pledge address.'],
+    [{ tx: { to: null } }, 'Pledge was not sent to the pledge address.'],
+    [{ tx: { from: '0x4444444444444444444444444444444444444444' } }, 'Pledge was not sent from the registering wallet.'],
+    [{ tx: { value: 0n } }, 'Pledge transaction has no ETH value.'],
+  ];
+  for (const [overrides, error] of cases) {
+    assert.deepEqual(await verifierFor(fakeProvider(overrides)).verifyPledge(TX_HASH, AGENT), { error });
+  }
+});
+
+test('asks to retry when the provider fails', async () => {
+  const provider = { ...fakeProvider(), getBlockNumber: async () => { throw new Error('rate limited'); } };
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.deepEqual(
+      await verifierFor(provider).verifyPledge(TX_HASH, AGENT),
+      { error: 'Could not look up the pledge transaction, try again.' }
+    );
+  } finally {
+    console.error = originalError;
+  }
+});
@@ -0,0 +1,139 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {
+  AbiCoder,
+  Interface,
+  Wallet,
+  concat,
+  dataLength,
+  dataSlice,
+  getAddress,
+  hashMessage,
+  recoverAddress,
+} from 'ethers';
+import { createSignatureVerifier } from '../signatures.js';
+
+const coder = AbiCoder.defaultAbiCoder();
+const owner = Wallet.createRandom();
+const SAFE = getAddress(`0x${'5a'.repeat(20)}`);
+const COUNTERFACTUAL = getAddress(`0x${'cf'.repeat(20)}`);
+const VALIDATOR = getAddress(`0x${'aa'.repeat(20)}`);
+const FACTORY = getAddress(`0x${'fa'.repeat(20)}`);
+const erc1271 = new Interface(['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)']);
+const validatorAbi = new Interface(['function isValidSigWithSideEffects(address signer, bytes32 hash, bytes signature) returns (bool)']);
+
+function ownerSigned(hash, signature) {
+  try {
+    return recoverAddress(hash, signature) === owner.address;
+  } catch {
+    return false;
+  }
+}
+
+// Local stand-in for an Ethereum node: SAFE is a deployed EIP-1271 wallet owned by
+// `owner`, COUNTERFACTUAL is undeployed and only the EIP-6492 validator vouches for it.
+function answer({ id, method, params }) {
+  let result = '0x';
+  if (method === 'eth_chainId') result = '0x1';
+  if (method === 'eth_getCode') result = getAddress(params[0]) === SAFE ? '0x6000' : '0x';
+  if (method === 'eth_call') {
+    const to = getAddress(params[0].to);
+    if (to === SAFE) {
+      const [hash, signature] = erc1271.decodeFunctionData('isValidSignature', params[0].data);
+      result = coder.encode(['bytes4'], [ownerSigned(hash, signature) ? '0x1626ba7e' : '0xffffffff']);
+    } else if (to === VALIDATOR) {
+      const [signer, hash, wrapped] = validatorAbi.decodeFunctionData('isValidSigWithSideEffects', params[0].data);
+      const [, , inner] = coder.decode(['address', 'bytes', 'bytes'], dataSlice(wrapped, 0, dataLength(wrapped) - 32));
+      result = coder.encode(['bool'], [signer === COUNTERFACTUAL && ownerSigned(hash, inner)]);
+    }
+  }
+  return { jsonrpc: '2.0', id, result };
+}
+
+let server;
+let rpcUrl;
+let rpcCalls = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      rpcCalls += Array.isArray(payload) ? payload.length : 1;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  rpcUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const MESSAGE = 'Sign in to Degenerette';
+const signAsOwner = (message) => owner.signingKey.sign(hashMessage(message)).serialized;
+const wrap6492 = (signature) => concat([
+  coder.encode(['address', 'bytes', 'bytes'], [FACTORY, '0x1234', signature]),
+  `0x${'6492'.repeat(16)}`,
+]);
+
+test('EOA signatures verify without touching the RPC', async () => {
+  const wallet = Wallet.createRandom();
+  const verifier = createSignatureVerifier({ rpcUrl, universalValidator: VALIDATOR });
+  const callsBefore = rpcCalls;
+  assert.equal(await verifier.verifyMessage(wallet.address, MESSAGE, await wallet.signMessage(MESSAGE)), true);
+  assert.equal(rpcCalls, callsBefore);
+});
+
+test('without an RPC only ECDSA signatures are accepted', async () => {
+  const wallet = Wallet.createRandom();
+  const verifier = createSignatureVerifier();
+  assert.equal(await verifier.verifyMessage(wallet.address, MESSAGE, await wallet.signMessage(MESSAGE)), true);
+  assert.equal(await verifier.verifyMessage(SAFE, MESSAGE, signAsOwner(MESSAGE)), false);
+});
+
+test('deployed smart wallets verify through EIP-1271', async () => {
+  const verifier = createSignatureVerifier({ rpcUrl });
+  assert.equal(await verifier.verifyMessage(SAFE, MESSAGE, signAsOwner(MESSAGE)), true);
+  const stranger = Wallet.createRandom().signingKey.sign(hashMessage(MESSAGE)).serialized;
+  assert.equal(await verifier.verifyMessage(SAFE, MESSAGE, stranger), false);
+});
+
+test('undeployed wallets verify through the EIP-6492 validator', async () => {
+  const verifier = createSignatureVerifier({ rpcUrl, universalValidator: VALIDATOR });
+  assert.equal(await verifier.verifyMessage(COUNTERFACTUAL, MESSAGE, wrap6492(signAsOwner(MESSAGE))), true);
+  assert.equal(await verifier.verifyMessage(COUNTERFACTUAL, MESSAGE, signAsOwner(MESSAGE)), false);
+  assert.equal(await verifier.verifyMessage(COUNTERFACTUAL, 'other', wrap6492(signAsOwner(MESSAGE))), false);
+});
+
+test('EIP-6492 wrappers for deployed wallets check the inner signature', async () => {
+  const verifier = createSignatureVerifier({ rpcUrl });
+  assert.equal(await verifier.verifyMessage(SAFE, MESSAGE, wrap6492(signAsOwner(MESSAGE))), true);
+});
+
+test('undeployed wallets fail without a validator address', async () => {
+  const verifier = createSignatureVerifier({ rpcUrl });
+  assert.equal(await verifier.verifyMessage(COUNTERFACTUAL, MESSAGE, wrap6492(signAsOwner(MESSAGE))), false);
+});
+
+test('malformed signatures are rejected', async () => {
+  const verifier = createSignatureVerifier({ rpcUrl, universalValidator: VALIDATOR });
+  assert.equal(await verifier.verifyMessage(SAFE, MESSAGE, '0xzz'), false);
+  assert.equal(await verifier.verifyMessage(SAFE, MESSAGE, '0x123'), false);
+  assert.equal(await verifier.verifyMessage(SAFE, MESSAGE, undefined), false);
+});
+
+test('an unreachable RPC fails closed', async () => {
+  const verifier = createSignatureVerifier({
+    provider: { getCode: async () => { throw new Error('connection refused'); } },
+  });
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(await verifier.verifyMessage(SAFE, MESSAGE, signAsOwner(MESSAGE)), false);
+  } finally {
+    console.error = originalError;
+  }
+});